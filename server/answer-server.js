@@ -0,0 +1,386 @@
+// スマホ解答用のローカルサーバー（任意）
+//
+//   npm run answer-server            … ポート 3030 で起動
+//   node server/answer-server.js 4000 … ポートを指定して起動（0 なら空いているポート）
+//
+// 会場のWi-Fiにつないだスマホで http://<このPCのIPアドレス>:3030/ を開くと解答用のページが表示される。
+// スマホでチームを選び、司会者画面の「設定 → スマホ解答」に表示されるチームごとの参加コードを入力して参加する。
+// 司会者画面の「設定 → スマホ解答」で ws://localhost:3030/ws に接続すると、各チームの解答が司会者画面に届く。
+//
+// サーバーは中継だけを行う（問題・正解は持たない。解答の受付可否やロックは司会者画面が決める）。
+//   司会者 → サーバー: { type: "host" } / { type: "state", state }（出題中の問題・チーム・参加コード・解答済みチーム）
+//   サーバー → スマホ: { type: "state", state }（参加コードを除いた最新の状態と、スマホが参加中のチーム）
+//   スマホ → サーバー: { type: "claim", groupId, code }（司会者画面に表示された参加コードでチームに参加）
+//                      → { type: "claimed", groupId } / { type: "claimError", message }
+//   スマホ → サーバー → 司会者: { type: "answer", groupId, problemId, choice }（参加しているチームの分だけ）
+//
+// 司会者として接続できるのはこのPC（ループバックアドレス）からだけ。各チームに参加できるスマホは1台だけ。
+// 参加コードを続けて間違えたアドレスからは、しばらく参加を受け付けない。
+//
+// 追加のパッケージを入れずに動くよう、WebSocket は Node の標準モジュールだけで実装している（テキストフレームのみ）。
+
+const http = require("http");
+const crypto = require("crypto");
+const os = require("os");
+
+const PORT = process.argv[2] !== undefined ? Number(process.argv[2]) : 3030;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+// 1フレームの上限（解答・状態のメッセージは数KBに収まる）。超えたら接続を切る
+const MAX_FRAME_SIZE = 16 * 1024;
+// 参加コードの総当たり対策：同じアドレスから続けて間違えたら、しばらく参加を受け付けない
+const MAX_CLAIM_FAILURES = 5;
+const CLAIM_LOCKOUT_MS = 60 * 1000;
+
+// ===================================
+// WebSocket（最小限の実装）
+// ===================================
+
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(len, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// 受信したバイト列からフレームを取り出す。足りなければ null、上限を超えるフレームなら { tooLarge: true }
+function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    if (buf.readUInt32BE(2) !== 0) return { tooLarge: true };
+    len = buf.readUInt32BE(6);
+    offset = 10;
+  }
+  if (len > MAX_FRAME_SIZE) return { tooLarge: true };
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buf.length < offset + len) return null;
+  const payload = Buffer.from(buf.subarray(offset, offset + len));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+  }
+  return { opcode, payload, size: offset + len };
+}
+
+// このPCからの接続か（IPv4 / IPv6 / IPv4射影アドレス）
+const isLoopback = (address) => /^(127\.|::1$|::ffff:127\.)/.test(address || "");
+
+function acceptWebSocket(req, socket, onMessage, onClose) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return null;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = {
+    address: req.socket.remoteAddress,
+    loopback: isLoopback(req.socket.remoteAddress),
+    groupId: null, // スマホが参加しているチーム
+    send: (data) => {
+      if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(data)));
+    },
+    close: () => socket.end(encodeFrame("", 0x8)),
+  };
+
+  let buffered = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while ((frame = decodeFrame(buffered))) {
+      if (frame.tooLarge) {
+        socket.destroy();
+        return;
+      }
+      buffered = buffered.subarray(frame.size);
+      if (frame.opcode === 0x8) {
+        socket.end(encodeFrame("", 0x8));
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(frame.payload.toString(), 0xa));
+      } else if (frame.opcode === 0x1) {
+        try {
+          onMessage(client, JSON.parse(frame.payload.toString()));
+        } catch (e) {
+          // 壊れたメッセージは無視する
+        }
+      }
+    }
+  });
+  socket.on("close", () => onClose(client));
+  socket.on("error", () => socket.destroy());
+  return client;
+}
+
+// ===================================
+// 中継
+// ===================================
+
+const hosts = new Set();
+const players = new Set();
+let latestState = null;
+const claimFailures = new Map(); // アドレス -> { count, lockedUntil }
+
+const teamOf = (groupId) => latestState && latestState.teams.find((t) => t.id === groupId);
+const claimedBy = (groupId) => [...players].find((p) => p.groupId === groupId);
+
+// スマホには参加コードを送らない
+const publicState = () => latestState && {
+  ...latestState,
+  teams: latestState.teams.map(({ code, ...team }) => ({ ...team, claimed: Boolean(claimedBy(team.id)) })),
+};
+
+const broadcastState = () => players.forEach((p) => p.send({ type: "state", state: publicState() }));
+
+const rejectLockedOut = (client) => {
+  client.send({ type: "claimError", message: "参加コードを続けて間違えたため、しばらくしてからもう一度お試しください" });
+  client.close();
+};
+
+const handleMessage = (client, msg) => {
+  if (msg.type === "host") {
+    if (!client.loopback) {
+      client.send({ type: "error", message: "司会者画面はサーバーを起動したPCから接続してください" });
+      return;
+    }
+    players.delete(client);
+    hosts.add(client);
+  } else if (msg.type === "state" && hosts.has(client)) {
+    latestState = msg.state;
+    // チームが削除された・参加コードが作り直されたスマホは参加を取り消す
+    players.forEach((p) => {
+      const team = p.groupId && teamOf(p.groupId);
+      if (p.groupId && (!team || team.code !== p.code)) {
+        p.groupId = null;
+        p.send({ type: "claimError", message: "参加コードが変わりました。もう一度入力してください" });
+      }
+    });
+    broadcastState();
+  } else if (msg.type === "join" && !hosts.has(client)) {
+    players.add(client);
+    client.send({ type: "state", state: publicState() });
+  } else if (msg.type === "claim" && players.has(client)) {
+    const team = teamOf(msg.groupId);
+    const holder = claimedBy(msg.groupId);
+    const failures = claimFailures.get(client.address) || { count: 0, lockedUntil: 0 };
+    if (failures.lockedUntil > Date.now()) {
+      rejectLockedOut(client);
+    } else if (!team || !team.code || String(msg.code) !== team.code) {
+      failures.count += 1;
+      if (failures.count >= MAX_CLAIM_FAILURES) {
+        claimFailures.set(client.address, { count: 0, lockedUntil: Date.now() + CLAIM_LOCKOUT_MS });
+        rejectLockedOut(client);
+      } else {
+        claimFailures.set(client.address, failures);
+        client.send({ type: "claimError", message: "参加コードが違います" });
+      }
+    } else if (holder && holder !== client) {
+      client.send({ type: "claimError", message: "このチームには別のスマホが参加しています" });
+    } else {
+      claimFailures.delete(client.address);
+      client.groupId = team.id;
+      client.code = team.code;
+      client.send({ type: "claimed", groupId: team.id });
+      broadcastState();
+    }
+  } else if (msg.type === "answer" && players.has(client) && client.groupId && msg.groupId === client.groupId) {
+    const { groupId, problemId, choice } = msg;
+    hosts.forEach((h) => h.send({ type: "answer", groupId, problemId, choice }));
+  }
+};
+
+const handleClose = (client) => {
+  hosts.delete(client);
+  // 参加していたチームは別のスマホから参加できるようになる
+  if (players.delete(client) && client.groupId) broadcastState();
+};
+
+// ===================================
+// スマホ用の解答ページ
+// ===================================
+
+const PLAYER_PAGE = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>クイズ解答</title>
+<style>
+  body { margin: 0; font-family: sans-serif; background: #660000; color: white; text-align: center; }
+  main { padding: 16px; }
+  button { width: 100%; margin: 6px 0; padding: 18px; font-size: 22px; font-weight: bold; border: none; border-radius: 10px; cursor: pointer; }
+  .choice { background: white; color: #333; text-align: left; }
+  .choice.selected { outline: 6px solid #f1c40f; }
+  .muted { color: #ccc; }
+  #team { padding: 8px; border-radius: 8px; font-weight: bold; }
+</style>
+</head>
+<body>
+<main>
+  <div id="status" class="muted">接続中…</div>
+  <div id="content"></div>
+</main>
+<script>
+  var CLAIM_KEY = "quiz_phone_claim"; // { groupId, code }（再接続したら自動で参加し直す）
+  var ws = null;
+  var state = null;
+  var team = null;      // 参加が認められたチーム
+  var choosing = null;  // 参加コードを入力中のチーム
+  var sent = {}; // problemId -> 送った選択肢
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (k) { if (k === "style") Object.assign(node.style, props[k]); else node[k] = props[k]; });
+    (children || []).forEach(function (c) { node.appendChild(typeof c === "string" ? document.createTextNode(c) : c); });
+    return node;
+  }
+
+  function claim(groupId, code) {
+    localStorage.setItem(CLAIM_KEY, JSON.stringify({ groupId: groupId, code: code }));
+    ws.send(JSON.stringify({ type: "claim", groupId: groupId, code: code }));
+  }
+
+  function renderTeamPicker(content) {
+    if (choosing) {
+      var t = state.teams.filter(function (x) { return x.id === choosing; })[0];
+      if (t) {
+        var input = el("input", { type: "tel", placeholder: "参加コード", style: { width: "100%", boxSizing: "border-box", padding: "16px", fontSize: "24px", textAlign: "center" } });
+        content.appendChild(el("h2", {}, [t.label + " の参加コード"]));
+        content.appendChild(input);
+        content.appendChild(el("button", { style: { background: t.color, color: "white" }, onclick: function () { claim(t.id, input.value.trim()); } }, ["参加する"]));
+        content.appendChild(el("button", { style: { background: "none", color: "#ccc", fontSize: "14px", padding: "4px" }, onclick: function () { choosing = null; render(); } }, ["戻る"]));
+        return;
+      }
+      choosing = null;
+    }
+    content.appendChild(el("h2", {}, ["チームを選んでください"]));
+    state.teams.forEach(function (t) {
+      content.appendChild(el("button", {
+        style: { background: t.color, color: "white", opacity: t.claimed ? 0.4 : 1 },
+        disabled: t.claimed,
+        onclick: function () { choosing = t.id; render(); },
+      }, [t.label + (t.claimed ? "（参加済み）" : "")]));
+    });
+  }
+
+  function render() {
+    var content = document.getElementById("content");
+    content.innerHTML = "";
+    if (!state) { content.appendChild(el("p", { className: "muted" }, ["司会者の画面がまだ接続していません"])); return; }
+    var current = state.teams.filter(function (t) { return t.id === team; })[0];
+    if (!current) { renderTeamPicker(content); return; }
+    content.appendChild(el("div", { id: "team", style: { background: current.color } }, [current.label]));
+
+    var q = state.question;
+    if (!q) { content.appendChild(el("p", { className: "muted" }, ["次の問題を待っています…"])); return; }
+    content.appendChild(el("h2", {}, ["問題 " + q.number]));
+    if (q.groupIds.indexOf(team) < 0) { content.appendChild(el("p", { className: "muted" }, ["この問題は解答できません"])); return; }
+    var locked = state.locked.indexOf(team) >= 0;
+    q.choices.forEach(function (c, idx) {
+      var selected = sent[q.problemId] === idx;
+      content.appendChild(el("button", {
+        className: "choice" + (selected ? " selected" : ""),
+        disabled: locked,
+        onclick: function () {
+          if (!window.confirm("「" + c.label + " " + c.text + "」で解答しますか？（変更できません）")) return;
+          sent[q.problemId] = idx;
+          ws.send(JSON.stringify({ type: "answer", groupId: team, problemId: q.problemId, choice: idx }));
+          render();
+        },
+      }, [c.label + "  " + c.text]));
+    });
+    if (locked) content.appendChild(el("p", {}, ["✔ 解答を受け付けました"]));
+  }
+
+  function connect() {
+    ws = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/ws");
+    ws.onopen = function () {
+      document.getElementById("status").textContent = "接続しました";
+      ws.send(JSON.stringify({ type: "join" }));
+      var saved = JSON.parse(localStorage.getItem(CLAIM_KEY) || "null");
+      if (saved) ws.send(JSON.stringify({ type: "claim", groupId: saved.groupId, code: saved.code }));
+    };
+    ws.onmessage = function (event) {
+      var msg = JSON.parse(event.data);
+      if (msg.type === "state") {
+        state = msg.state;
+      } else if (msg.type === "claimed") {
+        team = msg.groupId;
+        choosing = null;
+      } else if (msg.type === "claimError") {
+        // 自動で参加し直せなかった場合は選び直してもらう
+        if (team || choosing) window.alert(msg.message);
+        team = null;
+        localStorage.removeItem(CLAIM_KEY);
+      }
+      render();
+    };
+    ws.onclose = function () {
+      document.getElementById("status").textContent = "接続が切れました。再接続しています…";
+      team = null;
+      setTimeout(connect, 2000);
+    };
+  }
+  connect();
+</script>
+</body>
+</html>
+`;
+
+const server = http.createServer((req, res) => {
+  if (req.method === "GET" && (req.url === "/" || req.url === "/index.html")) {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(PLAYER_PAGE);
+    return;
+  }
+  res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Not Found");
+});
+
+server.on("upgrade", (req, socket) => {
+  if (req.url !== "/ws") {
+    socket.destroy();
+    return;
+  }
+  acceptWebSocket(req, socket, handleMessage, handleClose);
+});
+
+server.listen(PORT, () => {
+  const { port } = server.address();
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+  console.log(`スマホ解答サーバーを起動しました（ポート ${port}）`);
+  console.log(`  司会者画面の接続先: ws://localhost:${port}/ws`);
+  addresses.forEach((ip) => console.log(`  スマホで開くURL:   http://${ip}:${port}/`));
+});
@@ -0,0 +1,213 @@
+// スマホ解答サーバーのテスト（npm run test:server）
+//
+// テストごとに空いているポートでサーバーを起動し、Node の標準モジュールだけで書いた WebSocket クライアントで接続する。
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER = path.join(__dirname, "answer-server.js");
+
+const HOST_STATE = {
+  problemId: "p1",
+  teams: [
+    { id: 1, name: "チーム1", code: "1111" },
+    { id: 2, name: "チーム2", code: "2222" },
+  ],
+};
+
+function startServer(t) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER, "0"], { stdio: ["ignore", "pipe", "inherit"] });
+    t.after(() => child.kill());
+    let out = "";
+    child.stdout.on("data", (chunk) => {
+      out += chunk;
+      const m = out.match(/ポート (\d+)/);
+      if (m) resolve(Number(m[1]));
+    });
+    child.on("exit", (code) => reject(new Error(`サーバーが終了しました（${code}）`)));
+  });
+}
+
+function maskedFrame(payload, opcode = 0x1) {
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x80 | opcode, 0x80 | len]) : Buffer.alloc(4);
+  if (len >= 126) {
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(len, 2);
+  }
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, body]);
+}
+
+// 受信したメッセージを順に next() で取り出せる最小限のクライアント
+function connect(t, port, host = "127.0.0.1") {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ port, host });
+    t.after(() => socket.destroy());
+    const messages = [];
+    const waiting = [];
+    let closeResolve;
+    const closed = new Promise((r) => (closeResolve = r));
+    let buffered = Buffer.alloc(0);
+    let upgraded = false;
+
+    const deliver = (msg) => (waiting.length ? waiting.shift()(msg) : messages.push(msg));
+    const client = {
+      socket,
+      closed,
+      send: (data) => socket.write(maskedFrame(Buffer.from(JSON.stringify(data)))),
+      next: () => new Promise((r) => (messages.length ? r(messages.shift()) : waiting.push(r))),
+      // 届いていないことを確かめるため、少し待ってから受信済みのメッセージを返す
+      drain: () => new Promise((r) => setTimeout(() => r(messages.splice(0)), 200)),
+    };
+
+    socket.on("connect", () => {
+      socket.write(
+        "GET /ws HTTP/1.1\r\n" +
+        `Host: ${host}:${port}\r\n` +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString("base64")}\r\n` +
+        "Sec-WebSocket-Version: 13\r\n\r\n"
+      );
+    });
+    socket.on("data", (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (!upgraded) {
+        const end = buffered.indexOf("\r\n\r\n");
+        if (end < 0) return;
+        if (!buffered.subarray(0, end).toString().startsWith("HTTP/1.1 101")) {
+          reject(new Error("WebSocket に接続できませんでした"));
+          return;
+        }
+        buffered = buffered.subarray(end + 4);
+        upgraded = true;
+        resolve(client);
+      }
+      while (buffered.length >= 2) {
+        let len = buffered[1] & 0x7f;
+        let offset = 2;
+        if (len === 126) {
+          if (buffered.length < 4) return;
+          len = buffered.readUInt16BE(2);
+          offset = 4;
+        }
+        if (buffered.length < offset + len) return;
+        const opcode = buffered[0] & 0x0f;
+        const payload = buffered.subarray(offset, offset + len).toString();
+        buffered = buffered.subarray(offset + len);
+        if (opcode === 0x1) deliver(JSON.parse(payload));
+      }
+    });
+    socket.on("close", () => closeResolve());
+    socket.on("error", reject);
+  });
+}
+
+async function setUpGame(t) {
+  const port = await startServer(t);
+  const host = await connect(t, port);
+  host.send({ type: "host" });
+  host.send({ type: "state", state: HOST_STATE });
+  // 司会者の状態がサーバーに届いてからスマホを接続する
+  await host.drain();
+  return { port, host };
+}
+
+async function joinPlayer(t, port) {
+  const player = await connect(t, port);
+  player.send({ type: "join" });
+  assert.strictEqual((await player.next()).type, "state");
+  return player;
+}
+
+const externalAddress = Object.values(os.networkInterfaces())
+  .flat()
+  .find((a) => a && a.family === "IPv4" && !a.internal);
+
+test("host role is refused from outside this PC", { skip: !externalAddress && "外部アドレスがありません" }, async (t) => {
+  const port = await startServer(t);
+  const remote = await connect(t, port, externalAddress.address);
+  remote.send({ type: "host" });
+  assert.strictEqual((await remote.next()).type, "error");
+});
+
+test("host role is accepted from loopback and its state reaches players without join codes", async (t) => {
+  const { port } = await setUpGame(t);
+  const player = await connect(t, port);
+  player.send({ type: "join" });
+  const { state } = await player.next();
+  assert.deepStrictEqual(state.teams.map((team) => team.code), [undefined, undefined]);
+  assert.deepStrictEqual(state.teams.map((team) => team.claimed), [false, false]);
+});
+
+test("claims need the team's code and each team takes one phone", async (t) => {
+  const { port } = await setUpGame(t);
+  const phoneA = await joinPlayer(t, port);
+  phoneA.send({ type: "claim", groupId: 1, code: "0000" });
+  assert.strictEqual((await phoneA.next()).type, "claimError");
+  phoneA.send({ type: "claim", groupId: 1, code: "1111" });
+  assert.deepStrictEqual(await phoneA.next(), { type: "claimed", groupId: 1 });
+
+  const phoneB = await joinPlayer(t, port);
+  phoneB.send({ type: "claim", groupId: 1, code: "1111" });
+  const taken = await phoneB.next();
+  assert.strictEqual(taken.type, "claimError");
+  assert.match(taken.message, /別のスマホ/);
+});
+
+test("answers are forwarded only for the team the phone claimed", async (t) => {
+  const { port, host } = await setUpGame(t);
+  const phone = await joinPlayer(t, port);
+  phone.send({ type: "claim", groupId: 1, code: "1111" });
+  assert.strictEqual((await phone.next()).type, "claimed");
+
+  phone.send({ type: "answer", groupId: 2, problemId: "p1", choice: 0 });
+  phone.send({ type: "answer", groupId: 1, problemId: "p1", choice: 3 });
+  assert.deepStrictEqual(await host.drain(), [{ type: "answer", groupId: 1, problemId: "p1", choice: 3 }]);
+
+  const unclaimed = await joinPlayer(t, port);
+  unclaimed.send({ type: "answer", groupId: 2, problemId: "p1", choice: 1 });
+  assert.deepStrictEqual(await host.drain(), []);
+});
+
+test("five wrong codes in a row lock the address out", async (t) => {
+  const { port } = await setUpGame(t);
+  const phone = await joinPlayer(t, port);
+  for (let i = 0; i < 5; i++) {
+    phone.send({ type: "claim", groupId: 1, code: "0000" });
+    assert.strictEqual((await phone.next()).type, "claimError");
+  }
+  await phone.closed;
+
+  const retry = await joinPlayer(t, port);
+  retry.send({ type: "claim", groupId: 1, code: "1111" });
+  assert.match((await retry.next()).message, /続けて間違えた/);
+  await retry.closed;
+});
+
+test("frames over the size cap close the connection", async (t) => {
+  const port = await startServer(t);
+  const client = await connect(t, port);
+  // 64ビット長で 1GB と宣言したヘッダーだけを送る
+  const header = Buffer.alloc(14);
+  header[0] = 0x81;
+  header[1] = 0x80 | 127;
+  header.writeUInt32BE(0, 2);
+  header.writeUInt32BE(1e9, 6);
+  client.socket.write(header);
+  await client.closed;
+
+  const big = await connect(t, port);
+  big.send({ type: "join", padding: "x".repeat(20 * 1024) });
+  await big.closed;
+});
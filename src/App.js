@@ -1,5 +1,16 @@
-import QuizGame from "./QuizGame";
+import { useCallback, useState } from "react";
+import QuizGame, { getActiveQuizSetId, setActiveQuizSetId } from "./QuizGame";
 
 export default function App() {
-  return <QuizGame />;
-}
\ No newline at end of file
+  // ?view=audience で開いたウィンドウは観客画面（プロジェクター用）として表示する
+  const view = new URLSearchParams(window.location.search).get("view") === "audience" ? "audience" : "host";
+
+  // 表示中のクイズセット。切り替え時は key を変えて QuizGame を作り直し、そのセットの保存データを読み込む
+  const [setId, setSetId] = useState(() => getActiveQuizSetId());
+  const switchSet = useCallback((id) => {
+    setActiveQuizSetId(id);
+    setSetId(id);
+  }, []);
+
+  return <QuizGame key={setId} view={view} setId={setId} onSwitchSet={switchSet} />;
+}
@@ -1,8 +1,113 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom には IndexedDB がないので、開くだけで応答しない（メディアなしの状態）ものに置き換える
+beforeAll(() => {
+  window.indexedDB = { open: () => ({}) };
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  window.history.pushState({}, '', '/');
+});
+
+test('renders the host view with its controls and the default board', () => {
+  render(<App />);
+  expect(screen.getByRole('button', { name: '設定' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '観客画面を開く' })).toBeInTheDocument();
+  expect(screen.getByText('ジャンル1')).toBeInTheDocument();
+  expect(screen.getByText('ランキング')).toBeInTheDocument();
+});
+
+test('renders the audience view without the host controls', () => {
+  window.history.pushState({}, '', '/?view=audience');
+  render(<App />);
+  expect(screen.getByText('ジャンル1')).toBeInTheDocument();
+  expect(screen.getByText('ランキング')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: '設定' })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: '観客画面を開く' })).not.toBeInTheDocument();
+});
+
+test('switching quiz sets remounts the game with that set\'s own saved data', () => {
+  localStorage.setItem('quiz_sets', JSON.stringify([
+    { id: 'default', name: 'マイクイズ', updatedAt: null },
+    { id: 'set_b', name: '別のクイズ', updatedAt: null },
+  ]));
+  localStorage.setItem('quiz_genres', JSON.stringify(['歴史', '理科', '地理', '音楽', 'イントロ']));
+  localStorage.setItem('quiz_set_b_genres', JSON.stringify(['宇宙', '料理', '映画', '野球', 'イントロ']));
+
+  render(<App />);
+  expect(screen.getByText('歴史')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /ライブラリ/ }));
+  const openButtons = screen.getAllByRole('button', { name: '開く' });
+  fireEvent.click(openButtons.find((b) => !b.disabled));
+
+  expect(screen.getByText('宇宙')).toBeInTheDocument();
+  expect(screen.queryByText('歴史')).not.toBeInTheDocument();
+  expect(localStorage.getItem('quiz_active_set')).toBe('set_b');
+  // 既定のセットの保存データは書き換えない
+  expect(JSON.parse(localStorage.getItem('quiz_genres'))[0]).toBe('歴史');
+});
+
+test('the final round can be run from the keyboard', () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'ファイナル' }));
+
+  fireEvent.keyDown(window, { key: 'Enter' });
+  const inputs = screen.getAllByPlaceholderText(/^0〜/);
+  fireEvent.keyDown(window, { key: '1' });
+  expect(inputs[0]).toHaveFocus();
+  inputs.forEach((input) => fireEvent.keyDown(input, { key: 'Enter' }));
+  expect(screen.getAllByText('✓ 入力済み')).toHaveLength(inputs.length);
+
+  fireEvent.keyDown(window, { key: 'Enter' });
+  fireEvent.keyDown(window, { key: 'Enter' });
+  expect(screen.getByRole('button', { name: '○ 正解' })).toBeInTheDocument();
+  fireEvent.keyDown(window, { key: 'o' });
+  expect(screen.queryByRole('button', { name: '○ 正解' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '次のチーム' })).toBeInTheDocument();
+  window.confirm.mockRestore();
+});
+
+test('recording without MediaRecorder shows an error and releases the microphone', async () => {
+  const track = { stop: jest.fn() };
+  const close = jest.fn();
+  navigator.mediaDevices = { getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [track] }) };
+  window.AudioContext = jest.fn(() => ({ createAnalyser: () => ({ getFloatTimeDomainData: () => {} }), createMediaStreamSource: () => ({ connect: () => {} }), close }));
+  const alert = jest.spyOn(window, 'alert').mockImplementation(() => {});
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: '設定' }));
+
+  fireEvent.click(screen.getAllByRole('button', { name: /マイクで録音/ })[0]);
+
+  await waitFor(() => expect(alert).toHaveBeenCalledWith('このブラウザでは録音できません。別のブラウザでお試しください。'));
+  expect(track.stop).toHaveBeenCalled();
+  expect(close).toHaveBeenCalled();
+  expect(screen.getAllByRole('button', { name: /マイクで録音/ }).length).toBeGreaterThan(0);
+  alert.mockRestore();
+  delete navigator.mediaDevices;
+  delete window.AudioContext;
+});
+
+test('removing the team whose steal turn it is passes the turn to the next team', () => {
+  localStorage.setItem('quiz_settings', JSON.stringify({ answerFlow: 'steal' }));
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  fireEvent.keyDown(window, { key: 'ArrowRight' });
+  fireEvent.keyDown(window, { key: 'Enter' });
+  fireEvent.click(screen.getByRole('button', { name: '赤' }));
+  fireEvent.keyDown(window, { key: 'x' });
+  expect(screen.getByText('🎯 青')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: '設定' }));
+  // チームの並び順（赤・青・緑）の2番目の削除ボタン
+  fireEvent.click(screen.getAllByRole('button', { name: '削除' })[1]);
+
+  expect(screen.getByText('🎯 緑')).toBeInTheDocument();
+  window.confirm.mockRestore();
 });
@@ -1,12 +1,15 @@
 // === 完全版 React JSX QuizGame（再生/停止トグルボタン機能追加） ===
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
 // ===================================
-// IndexedDB Helper Functions for Audio
+// IndexedDB Helper Functions for Media (Audio / Image / Video)
 // ===================================
 
 const DB_NAME = 'QuizGameDB';
-const STORE_NAME = 'audioStore';
+const DB_VERSION = 2;
+const STORE_NAME = 'mediaStore';
+// version 1 で使っていた音源専用ストア（version 2 で mediaStore へ移行）
+const LEGACY_AUDIO_STORE = 'audioStore';
 let db;
 
 // IndexedDBを開く
@@ -16,7 +19,7 @@ function openDB() {
       resolve(db);
       return;
     }
-    const request = indexedDB.open(DB_NAME, 1);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
     
     request.onerror = (event) => {
       console.error('IndexedDB error:', event.target.error);
@@ -28,6 +31,22 @@ function openDB() {
       if (!dbInstance.objectStoreNames.contains(STORE_NAME)) {
         dbInstance.createObjectStore(STORE_NAME);
       }
+
+      // 旧audioStoreの音源（intro_N, correctSound）を同じキーのままmediaStoreへ移す
+      if (dbInstance.objectStoreNames.contains(LEGACY_AUDIO_STORE)) {
+        const upgradeTx = event.target.transaction;
+        const mediaStore = upgradeTx.objectStore(STORE_NAME);
+        const cursorRequest = upgradeTx.objectStore(LEGACY_AUDIO_STORE).openCursor();
+        cursorRequest.onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (cursor) {
+            mediaStore.put(cursor.value, cursor.key);
+            cursor.continue();
+          } else {
+            dbInstance.deleteObjectStore(LEGACY_AUDIO_STORE);
+          }
+        };
+      }
     };
 
     request.onsuccess = (event) => {
@@ -37,8 +56,8 @@ function openDB() {
   });
 }
 
-// 音声ファイル（Blob）をIndexedDBに保存
-async function saveAudioToDB(key, file) {
+// メディアファイル（Blob）をIndexedDBに保存
+async function saveMediaToDB(key, file) {
   try {
     const dbInstance = await openDB();
     const transaction = dbInstance.transaction(STORE_NAME, 'readwrite');
@@ -54,8 +73,8 @@ async function saveAudioToDB(key, file) {
   }
 }
 
-// IndexedDBから音声ファイル（Blob）をロード
-async function loadAudioFromDB(key) {
+// IndexedDBからメディアファイル（Blob）をロード
+async function loadMediaFromDB(key) {
   try {
     const dbInstance = await openDB();
     const transaction = dbInstance.transaction(STORE_NAME, 'readonly');
@@ -72,16 +91,41 @@ async function loadAudioFromDB(key) {
   }
 }
 
-// IndexedDBから音源データをクリア
-async function clearAudioDB() {
+// IndexedDBからメディアファイル（Blob）を削除
+async function deleteMediaFromDB(key) {
+  try {
+    const dbInstance = await openDB();
+    const transaction = dbInstance.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.delete(key);
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve();
+      request.onerror = (event) => reject(event.target.error);
+    });
+  } catch (error) {
+    console.error(`Failed to delete ${key}:`, error);
+  }
+}
+
+// IndexedDBからクイズセットのメディアデータをクリア
+async function clearMediaDB(setId) {
     try {
         const dbInstance = await openDB();
         const transaction = dbInstance.transaction(STORE_NAME, 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
-        const request = store.clear();
+        const request = store.openCursor();
 
         return new Promise((resolve, reject) => {
-            request.onsuccess = () => resolve();
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (isQuizMediaKey(setId, cursor.key)) cursor.delete();
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
             request.onerror = (event) => reject(event.target.error);
         });
     } catch (error) {
@@ -89,433 +133,3727 @@ async function clearAudioDB() {
     }
 }
 
+// IndexedDBからクイズセットの全エントリ（セット内でのキーとBlob）を取得
+async function loadAllMediaEntries(setId) {
+  try {
+    const dbInstance = await openDB();
+    const transaction = dbInstance.transaction(STORE_NAME, 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.openCursor();
+    const entries = [];
 
-const GROUPS = [
-  { id: "red", label: "赤", color: "#e74c3c" },
-  { id: "blue", label: "青", color: "#3498db" },
-  { id: "green", label: "緑", color: "#2ecc71" },
-  { id: "yellow", label: "黄", color: "#f1c40f" },
-  { id: "purple", label: "紫", color: "#8e44ad" },
-];
+    return new Promise((resolve, reject) => {
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (isQuizMediaKey(setId, cursor.key)) {
+            entries.push({ key: stripQuizMediaKey(setId, cursor.key), blob: cursor.value });
+          }
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+      request.onerror = (event) => reject(event.target.error);
+    });
+  } catch (error) {
+    console.warn('Failed to list media entries.', error);
+    return [];
+  }
+}
 
-// 初期データ生成用関数
-const createInitialProblems = () => 
-  Array.from({ length: 25 }, (_, i) => ({
-    id: i,
-    question: `問題 ${i + 1}（サンプル）`,
-    choices: ["選択肢A", "選択肢B", "選択肢C", "選択肢D"],
-    answer: 0,
-    groupColor: null,
-    used: false,
-    score: (Math.floor(i / 5) + 1) * 100,
-  }));
-
-export default function QuizGame() {
-  // --- State初期化（ローカルストレージから読み込み） ---
-  
-  const [genres, setGenres] = useState(() => {
-    const saved = localStorage.getItem("quiz_genres");
-    return saved ? JSON.parse(saved) : ["ジャンル1", "ジャンル2", "ジャンル3", "ジャンル4", "イントロ"];
-  });
+// ===================================
+// Quiz Sets (クイズセットごとの保存領域)
+// ===================================
+//
+// 既定のセット（DEFAULT_SET_ID）は従来どおりのキー（quiz_genres, intro_0 など）を使うので、
+// 複数セットに対応する前の保存データはそのまま既定のセットとして読み込まれる。
 
-  const [scores, setScores] = useState(() => {
-    const saved = localStorage.getItem("quiz_scores");
-    return saved ? JSON.parse(saved) : { red: 0, blue: 0, green: 0, yellow: 0, purple: 0 };
-  });
+const DEFAULT_SET_ID = "default";
+// 問題・盤面などクイズの中身（複製先に引き継ぐ）
+const QUIZ_SET_CONTENT_STORAGE_NAMES = ["genres", "board", "groups", "settings", "problems", "final"];
+// 得点・進行記録など遊んだゲームの保存データ（複製先には引き継がず、新しいゲームとして始める）
+const QUIZ_SET_GAME_STORAGE_NAMES = ["scores", "game_log", "live", "snapshots"];
 
-  const [problems, setProblems] = useState(() => {
-    const saved = localStorage.getItem("quiz_problems");
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      return parsed.map(p => ({ ...p, audio: null })); 
-    }
-    return createInitialProblems();
-  });
-  
-  const [correctSoundUrl, setCorrectSoundUrl] = useState(null);
+const quizStorageKey = (setId, name) => (setId === DEFAULT_SET_ID ? `quiz_${name}` : `quiz_${setId}_${name}`);
+const quizMediaKey = (setId, key) => (setId === DEFAULT_SET_ID ? key : `${setId}:${key}`);
+const isQuizMediaKey = (setId, key) => (setId === DEFAULT_SET_ID ? !String(key).includes(":") : String(key).startsWith(`${setId}:`));
+const stripQuizMediaKey = (setId, key) => (setId === DEFAULT_SET_ID ? key : String(key).slice(setId.length + 1));
 
+// クイズセットの一覧 [{ id, name, updatedAt }]
+export function loadQuizSets() {
+  const saved = localStorage.getItem("quiz_sets");
+  return saved ? JSON.parse(saved) : [{ id: DEFAULT_SET_ID, name: "マイクイズ", updatedAt: null }];
+}
 
-  // --- IndexedDBからの音源ロード処理 ---
-  useEffect(() => {
-    const loadAllAudio = async () => {
-        // 1. 正解音源のロード
-        const correctBlob = await loadAudioFromDB('correctSound');
-        if (correctBlob) {
-            setCorrectSoundUrl(URL.createObjectURL(correctBlob));
-        }
+function saveQuizSets(sets) {
+  localStorage.setItem("quiz_sets", JSON.stringify(sets));
+}
 
-        // 2. イントロ音源のロード
-        const newProblems = [...problems];
-        let changed = false;
-        for (let i = 0; i < newProblems.length; i++) {
-            const blob = await loadAudioFromDB(`intro_${i}`);
-            if (blob) {
-                newProblems[i] = { ...newProblems[i], audio: URL.createObjectURL(blob) };
-                changed = true;
-            }
-        }
-        if(changed) {
-            setProblems(newProblems);
-        }
-    };
-    loadAllAudio();
-  }, []); 
+export function getActiveQuizSetId() {
+  const id = localStorage.getItem("quiz_active_set");
+  return id && loadQuizSets().some((s) => s.id === id) ? id : loadQuizSets()[0].id;
+}
 
-  // --- テキストデータのローカルストレージへの自動保存 ---
+export function setActiveQuizSetId(id) {
+  localStorage.setItem("quiz_active_set", id);
+}
 
-  useEffect(() => {
-    localStorage.setItem("quiz_genres", JSON.stringify(genres));
-  }, [genres]);
+function createQuizSet(name) {
+  const set = { id: `set_${Date.now().toString(36)}`, name, updatedAt: new Date().toISOString() };
+  saveQuizSets([...loadQuizSets(), set]);
+  return set;
+}
 
-  useEffect(() => {
-    localStorage.setItem("quiz_scores", JSON.stringify(scores));
-  }, [scores]);
+function renameQuizSet(id, name) {
+  saveQuizSets(loadQuizSets().map((s) => (s.id === id ? { ...s, name } : s)));
+}
 
-  useEffect(() => {
-    const problemsToSave = problems.map(p => ({ ...p, audio: null }));
-    localStorage.setItem("quiz_problems", JSON.stringify(problemsToSave));
-  }, [problems]);
+// 最終更新日時の記録（ライブラリの並び順・表示用）
+function touchQuizSet(id) {
+  saveQuizSets(loadQuizSets().map((s) => (s.id === id ? { ...s, updatedAt: new Date().toISOString() } : s)));
+}
 
+// クイズの中身（文字データとメディア）を複製。得点や進行記録は引き継がない
+export async function duplicateQuizSet(sourceId, name) {
+  const set = createQuizSet(name);
+  QUIZ_SET_CONTENT_STORAGE_NAMES.forEach((n) => {
+    const value = localStorage.getItem(quizStorageKey(sourceId, n));
+    if (value !== null) localStorage.setItem(quizStorageKey(set.id, n), value);
+  });
+  const entries = await loadAllMediaEntries(sourceId);
+  for (const { key, blob } of entries) {
+    await saveMediaToDB(quizMediaKey(set.id, key), blob);
+  }
+  return set;
+}
 
-  // --- その他StateとRef ---
-  const [settingsOpen, setSettingsOpen] = useState(false);
-  const [activeProblem, setActiveProblem] = useState(null); 
-  const [playIndex, setPlayIndex] = useState(null);
-  const [showChoices, setShowChoices] = useState(false);
-  
-  // NEW: 「もう一度再生」ボタンの再生状態を管理
-  const [isPlayingAudio, setIsPlayingAudio] = useState(false); 
+export async function deleteQuizSet(id) {
+  [...QUIZ_SET_CONTENT_STORAGE_NAMES, ...QUIZ_SET_GAME_STORAGE_NAMES].forEach((n) => localStorage.removeItem(quizStorageKey(id, n)));
+  await clearMediaDB(id);
+  saveQuizSets(loadQuizSets().filter((s) => s.id !== id));
+}
 
-  const [selectedGroups, setSelectedGroups] = useState([]);
-  const [revealOpen, setRevealOpen] = useState(false);
+// 問題ごとのメディアの種類とIndexedDBのキー（キーは問題IDで区別する）
+const PROBLEM_MEDIA_KINDS = ["audio", "image", "video"];
+const mediaKey = (kind, problemId) => `${kind === "audio" ? "intro" : kind}_${problemId}`;
 
-  const audioRef = useRef(null);
-  const correctSoundRef = useRef(null);
+// ===================================
+// Quiz Pack (Export / Import) Helpers
+// ===================================
 
-  useEffect(() => {
-    return () => {
-      if (audioRef.current) try { audioRef.current.pause(); } catch (e) {}
-      if (correctSoundRef.current) try { correctSoundRef.current.pause(); } catch (e) {}
-      setIsPlayingAudio(false); // モーダルを閉じるときは再生状態をリセット
-    };
-  }, []);
+const PACK_FORMAT = 'quiz-game-pack';
+// version 2: 画像・動画に対応し、audio を media にまとめた
+const PACK_VERSION = 2;
 
-  const isIntroIndex = (i) => [4, 9, 14, 19, 24].includes(i);
+// BlobをData URL（base64）に変換
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
 
-  const updateProblem = (idx, key, value) => {
-    setProblems((prev) => {
-      const copy = [...prev];
-      copy[idx] = { ...copy[idx], [key]: value };
-      return copy;
-    });
-  };
+// Blobをファイルとしてダウンロードさせる
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-  const updateChoice = (probIdx, choiceIdx, value) => {
-    setProblems((prev) => {
-      const copy = [...prev];
-      const newChoices = [...copy[probIdx].choices];
-      newChoices[choiceIdx] = value;
-      copy[probIdx] = { ...copy[probIdx], choices: newChoices };
-      return copy;
-    });
+// 2次元配列をCSV文字列にする（Excelで文字化けしないようBOM付き）
+function toCSV(rows) {
+  const cell = (v) => {
+    const text = v == null ? '' : String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   };
+  return '\uFEFF' + rows.map((row) => row.map(cell).join(',')).join('\r\n');
+}
 
-  const updateGenre = (idx, value) => {
-    setGenres((prev) => {
-      const c = [...prev];
-      c[idx] = value;
-      return c;
-    });
-  };
+// Data URLをBlobに戻す（base64 が壊れていれば例外を投げる）
+function dataURLToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  if (!base64 || !/;base64$/.test(header)) throw new Error('base64 のデータURLではありません');
+  const mime = (header.match(/^data:([^;,]*)/) || [])[1] || '';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
+}
 
-  const handleIntroUpload = async (e, idx) => {
-    const f = e.target.files && e.target.files[0];
-    if (!f) return;
-    
-    await saveAudioToDB(`intro_${idx}`, f);
-    
-    const url = URL.createObjectURL(f);
-    updateProblem(idx, "audio", url);
-  };
+// クイズパックの盤面サイズ（盤面情報のない古いパックは5列として扱う）
+function getPackBoard(pack) {
+  if (pack.board) return pack.board;
+  const cols = DEFAULT_BOARD.cols;
+  const rows = Math.ceil(pack.problems.length / cols);
+  return { cols, rows, rowScores: Array.from({ length: rows }, (_, r) => (pack.problems[r * cols] || {}).score ?? defaultRowScore(r)) };
+}
 
-  const handleCorrectSoundUpload = async (e) => {
-    const f = e.target.files && e.target.files[0];
-    if (!f) return;
-    
-    await saveAudioToDB('correctSound', f);
+// クイズパックのメディア（version 1 のパックは audio に音源だけを持つ）
+function getPackMedia(pack) {
+  return pack.version >= 2 ? pack.media : pack.audio;
+}
 
-    const url = URL.createObjectURL(f);
-    setCorrectSoundUrl(url);
-    correctSoundRef.current = null;
-  };
+// 読み込んだクイズパックの内容を検証し、エラーメッセージの配列を返す
+export function validateQuizPack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object') return ['ファイルの形式が正しくありません。'];
+  if (pack.format !== PACK_FORMAT) errors.push('クイズパックのファイルではありません。');
+  if (typeof pack.version !== 'number' || pack.version > PACK_VERSION) {
+    errors.push(`対応していないバージョンです (version: ${pack.version})。`);
+  }
+  if (!Array.isArray(pack.genres) || !pack.genres.every((g) => typeof g === 'string')) {
+    errors.push('ジャンル名の形式が正しくありません。');
+  }
+  if (!Array.isArray(pack.problems) || pack.problems.length === 0) {
+    errors.push('問題データがありません。');
+  }
+  if (errors.length > 0) return errors;
 
-  const startProblem = (i) => {
-    // 既存の音声/タイマーをクリア
-    if (audioRef.current) {
-      try { audioRef.current.pause(); audioRef.current.currentTime = 0; } catch (e) {}
-      audioRef.current = null;
+  const board = getPackBoard(pack);
+  if (!Number.isInteger(board.cols) || board.cols < 1 || board.cols > MAX_BOARD_COLS ||
+      !Number.isInteger(board.rows) || board.rows < 1 || board.rows > MAX_BOARD_ROWS) {
+    errors.push('盤面サイズの形式が正しくありません。');
+  } else {
+    if (pack.genres.length !== board.cols) errors.push(`ジャンル数が盤面の列数と一致しません (${pack.genres.length}個 / ${board.cols}列)。`);
+    if (pack.problems.length !== board.cols * board.rows) errors.push(`問題数が盤面のマス数と一致しません (${pack.problems.length}問 / ${board.cols * board.rows}マス)。`);
+    if (!Array.isArray(board.rowScores) || board.rowScores.length !== board.rows || !board.rowScores.every((v) => typeof v === 'number')) {
+      errors.push('行ごとの得点の形式が正しくありません。');
     }
-    
-    setPlayIndex(i);
-    setShowChoices(false); 
-    setIsPlayingAudio(false); // 再生状態をリセット
+  }
+  if (new Set(pack.problems.map((p, i) => (p && Number.isInteger(p.id) ? p.id : i))).size !== pack.problems.length) {
+    errors.push('問題IDが重複しています。');
+  }
 
-    const intro = isIntroIndex(i);
+  pack.problems.forEach((p, i) => {
+    if (!p || typeof p.question !== 'string') errors.push(`問題 ${i + 1}: 問題文がありません。`);
+    else if (p.answerFormat != null && !ANSWER_FORMATS.some((f) => f.id === p.answerFormat)) errors.push(`問題 ${i + 1}: 不明な解答形式です (${p.answerFormat})。`);
+    else if (!Array.isArray(p.choices) || !p.choices.every((c) => typeof c === 'string')) errors.push(`問題 ${i + 1}: 選択肢の形式が正しくありません。`);
+    else if (p.answerFormat !== 'open' && (p.choices.length < MIN_CHOICES || p.choices.length > MAX_CHOICES)) errors.push(`問題 ${i + 1}: 選択肢は ${MIN_CHOICES}〜${MAX_CHOICES} 個にしてください。`);
+    else if (p.answerFormat !== 'open' && (!Number.isInteger(p.answer) || p.answer < 0 || p.answer >= p.choices.length)) errors.push(`問題 ${i + 1}: 正解の指定が正しくありません。`);
+    else if (typeof p.score !== 'number') errors.push(`問題 ${i + 1}: 得点の形式が正しくありません。`);
+    else if (p.type != null && !QUESTION_TYPES.some((t) => t.id === p.type)) errors.push(`問題 ${i + 1}: 不明な問題形式です (${p.type})。`);
+    else if (p.timeLimit != null && (typeof p.timeLimit !== 'number' || p.timeLimit < 0)) errors.push(`問題 ${i + 1}: 制限時間の形式が正しくありません。`);
+    else if (['clipStart', 'clipLength', 'fadeOut'].some((k) => p[k] != null && (typeof p[k] !== 'number' || p[k] < 0))) errors.push(`問題 ${i + 1}: イントロの再生区間の形式が正しくありません。`);
+    else if (p.bonus != null && typeof p.bonus !== 'boolean') errors.push(`問題 ${i + 1}: ボーナスパネルの指定が正しくありません。`);
+  });
+  if (pack.final != null && (
+    typeof pack.final !== 'object' ||
+    typeof pack.final.question !== 'string' ||
+    !Array.isArray(pack.final.choices) ||
+    !Number.isInteger(pack.final.answer) || pack.final.answer < 0 || pack.final.answer >= pack.final.choices.length
+  )) {
+    errors.push('ファイナル問題の形式が正しくありません。');
+  } else if (pack.final != null && (!pack.final.choices.every((c) => typeof c === 'string') || pack.final.choices.length < MIN_CHOICES || pack.final.choices.length > MAX_CHOICES)) {
+    errors.push(`ファイナル問題: 選択肢は ${MIN_CHOICES}〜${MAX_CHOICES} 個にしてください。`);
+  }
+  const media = getPackMedia(pack);
+  if (media != null && typeof media !== 'object') {
+    errors.push('メディアデータの形式が正しくありません。');
+  } else {
+    Object.entries(media || {}).forEach(([key, dataUrl]) => {
+      if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) errors.push(`メディア ${key} の形式が正しくありません。`);
+    });
+  }
+  pack.problems.forEach((p, i) => {
+    if (p && p.imageReveal != null && !IMAGE_REVEAL_MODES.some((m) => m.id === p.imageReveal)) errors.push(`問題 ${i + 1}: 不明な画像の表示方法です (${p.imageReveal})。`);
+  });
+  return errors;
+}
 
-    if (!intro) {
-      // 通常問題: 即座に選択肢を表示
-      setShowChoices(true);
-      return;
-    }
+// ファイルをテキストとして読み込む
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
 
-    // イントロ問題: 音源を再生し、手動停止を待つ
-    const url = problems[i].audio;
-    if (url) {
-      const a = new Audio(url);
-      audioRef.current = a;
-      a.loop = true; 
-      a.play().catch(() => {});
-      setIsPlayingAudio(true); // イントロ問題開始時は再生状態をONに
-    } 
+// ===================================
+// Sound Helpers
+// ===================================
+
+// Web Audioで短い音を鳴らす（効果音ファイルがないときのデフォルト音）
+function playTone(frequency, duration = 0.3, type = "sine", volume = 0.2) {
+  try {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+    o.type = type;
+    o.frequency.setValueAtTime(frequency, ctx.currentTime);
+    g.gain.setValueAtTime(0.0001, ctx.currentTime);
+    g.gain.exponentialRampToValueAtTime(volume, ctx.currentTime + 0.01);
+    o.connect(g); g.connect(ctx.destination);
+    o.start();
+    setTimeout(() => { o.stop(); ctx.close(); }, duration * 1000);
+  } catch (e) {}
+}
+
+// 効果音の一覧。アップロード（または録音）した音源がなければ synth(音量) で Web Audio の合成音を鳴らす。
+// mediaKey は IndexedDB のキー（正解音は以前からの correctSound のまま）
+const SOUND_EFFECTS = [
+  { id: "correct", label: "正解", mediaKey: "correctSound", synth: (v) => playTone(880, 0.3, "sine", 0.2 * v) },
+  { id: "wrong", label: "不正解", mediaKey: "sound_wrong", synth: (v) => playTone(220, 0.5, "sawtooth", 0.15 * v) },
+  {
+    id: "open", label: "パネルを開く", mediaKey: "sound_open",
+    synth: (v) => [440, 660].forEach((f, n) => setTimeout(() => playTone(f, 0.12, "triangle", 0.15 * v), n * 80)),
+  },
+  { id: "buzz", label: "早押し", mediaKey: "sound_buzz", synth: (v) => playTone(1200, 0.25, "square", 0.15 * v) },
+  { id: "tick", label: "残り時間の警告", mediaKey: "sound_tick", synth: (v) => playTone(660, 0.1, "square", 0.1 * v) },
+  { id: "timeUp", label: "時間切れ", mediaKey: "sound_timeUp", synth: (v) => playTone(330, 0.8, "sawtooth", 0.2 * v) },
+  {
+    id: "bonus", label: "ボーナスパネル", mediaKey: "sound_bonus",
+    synth: (v) => [523, 659, 784, 1047].forEach((f, n) => setTimeout(() => playTone(f, 0.25, "triangle", 0.2 * v), n * 120)),
+  },
+  {
+    id: "final", label: "最終結果", mediaKey: "sound_final",
+    synth: (v) => [523, 523, 523, 659, 784, 1047].forEach((f, n) => setTimeout(() => playTone(f, n === 5 ? 0.8 : 0.18, "triangle", 0.2 * v), n * 150)),
+  },
+];
+
+// 音源の一部（start 秒から length 秒、null = 最後まで）を再生し、終わりの fade 秒でフェードアウトする。
+// loop = true なら区間を繰り返す。外から pause() された場合も監視を止める。戻り値は停止用の関数
+function playAudioClip(audio, { start = 0, length = null, fade = 0, loop = false, onEnd = () => {} }) {
+  const baseVolume = 1;
+  const endAt = () => (length != null ? start + length : audio.duration || Infinity);
+  let timerId = null;
+  const finish = () => {
+    clearInterval(timerId);
+    audio.volume = baseVolume;
+    onEnd();
   };
-  
-  // NEW: 「もう一度再生」ボタンのトグルロジック
-  const toggleReplay = () => {
-    if (!audioRef.current) return;
-    
-    if (isPlayingAudio) {
-      // 再生中 -> 停止
-      try { audioRef.current.pause(); } catch (e) {}
-      setIsPlayingAudio(false);
-    } else {
-      // 停止中 -> 再生
-      try { 
-        audioRef.current.loop = false; // ループはしない
-        audioRef.current.currentTime = 0; 
-        audioRef.current.play(); 
-        setIsPlayingAudio(true);
-        
-        // 再生終了時に自動で停止状態に戻すためのイベントリスナー
-        audioRef.current.onended = () => {
-          setIsPlayingAudio(false);
-          audioRef.current.onended = null;
-        };
-        
-      } catch (e) {
-        setIsPlayingAudio(false);
+
+  audio.loop = false;
+  audio.volume = baseVolume;
+  audio.currentTime = start;
+  audio.play().catch(() => finish());
+
+  timerId = setInterval(() => {
+    if (audio.paused && !audio.ended) {
+      clearInterval(timerId);
+      audio.volume = baseVolume;
+      return;
+    }
+    const rest = endAt() - audio.currentTime;
+    if (rest <= 0 || audio.ended) {
+      if (loop) {
+        audio.currentTime = start;
+        audio.volume = baseVolume;
+        if (audio.ended) audio.play().catch(() => {});
+        return;
       }
+      audio.pause();
+      finish();
+      return;
     }
+    audio.volume = fade > 0 && rest < fade ? baseVolume * Math.max(0, rest / fade) : baseVolume;
+  }, 50);
+
+  return () => {
+    audio.pause();
+    finish();
   };
+}
 
+// AudioBuffer の start〜end 秒を 16bit PCM の WAV ファイル（Blob）にする（録音のトリミング保存用）
+function audioBufferToWav(buffer, start = 0, end = buffer.duration) {
+  const rate = buffer.sampleRate;
+  const channels = buffer.numberOfChannels;
+  const from = Math.max(0, Math.floor(start * rate));
+  const to = Math.min(buffer.length, Math.ceil(end * rate));
+  const frames = Math.max(0, to - from);
+  const view = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+  const writeText = (offset, text) => [...text].forEach((c, n) => view.setUint8(offset + n, c.charCodeAt(0)));
 
-  const playCorrectSound = () => {
-    try {
-      if (correctSoundUrl) {
-        if (!correctSoundRef.current) correctSoundRef.current = new Audio(correctSoundUrl);
-        correctSoundRef.current.currentTime = 0;
-        correctSoundRef.current.play().catch(() => {});
-      } else {
-        // デフォルト音の再生
-        try {
-          const ctx = new (window.AudioContext || window.webkitAudioContext)();
-          const o = ctx.createOscillator();
-          const g = ctx.createGain();
-          o.type = "sine";
-          o.frequency.setValueAtTime(880, ctx.currentTime);
-          g.gain.setValueAtTime(0.0001, ctx.currentTime);
-          g.gain.exponentialRampToValueAtTime(0.2, ctx.currentTime + 0.01);
-          o.connect(g); g.connect(ctx.destination);
-          o.start();
-          setTimeout(() => { o.stop(); ctx.close(); }, 300);
-        } catch (e) {}
-      }
-    } catch (e) {}
-  };
+  writeText(0, "RIFF");
+  view.setUint32(4, 36 + frames * channels * 2, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, rate, true);
+  view.setUint32(28, rate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, "data");
+  view.setUint32(40, frames * channels * 2, true);
 
-  const toggleGroupSelect = (gid) => {
-    setSelectedGroups((prev) => (prev.includes(gid) ? prev.filter((x) => x !== gid) : [...prev, gid]));
-  };
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = from; i < to; i++) {
+    for (let c = 0; c < channels; c++) {
+      const v = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
 
-  const confirmMultipleCorrect = () => {
-    if (playIndex === null) return;
-    const pts = problems[playIndex].score;
+// イントロ問題の再生区間（古い保存データには項目がないので既定値を補う）
+const introClip = (p) => ({
+  start: p.clipStart || 0,
+  length: p.clipLength ?? null,
+  fade: p.fadeOut ?? 1,
+});
 
-    setScores((prev) => {
-      const ns = { ...prev };
-      selectedGroups.forEach((g) => (ns[g] = (ns[g] || 0) + pts));
-      return ns;
-    });
+// イントロの段階再生（seconds = null は区間の最後まで）
+const INTRO_STAGES = [
+  { seconds: 1, label: "1秒" },
+  { seconds: 3, label: "3秒" },
+  { seconds: null, label: "フル" },
+];
 
-    setProblems((prev) => {
-      const cp = [...prev];
-      cp[playIndex] = {
-        ...cp[playIndex],
-        used: true,
-        groupColor: selectedGroups.length === 1 ? GROUPS.find((x) => x.id === selectedGroups[0]).color : "#444",
-      };
-      return cp;
-    });
-    
-    setRevealOpen(false);
-    setSelectedGroups([]);
 
-    if (audioRef.current) try { audioRef.current.pause(); } catch (e) {}
-    setIsPlayingAudio(false); 
+const GROUPS = [
+  { id: "red", label: "赤", color: "#e74c3c", buzzKey: "1" },
+  { id: "blue", label: "青", color: "#3498db", buzzKey: "2" },
+  { id: "green", label: "緑", color: "#2ecc71", buzzKey: "3" },
+  { id: "yellow", label: "黄", color: "#f1c40f", buzzKey: "4" },
+  { id: "purple", label: "紫", color: "#8e44ad", buzzKey: "5" },
+];
 
-    setPlayIndex(null);
-    setShowChoices(false);
-  };
+// 早押しキー（文字キーは小文字にそろえる）
+const normalizeBuzzKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+const buzzKeyLabel = (key) => (key === " " ? "Space" : key.toUpperCase());
+const BUZZ_KEY_CANDIDATES = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"];
 
-  // スコアと使用済みフラグのみをリセットする関数
-  const resetScoresAndUsage = () => {
-    if (!window.confirm("現在のスコアと問題の使用状態（使用済みパネルの色）をリセットし、最初からゲームをやり直しますか？\n問題の編集内容や音源は保持されます。")) return;
-    
-    setScores({ red: 0, blue: 0, green: 0, yellow: 0, purple: 0 });
+// ゲーム全体の設定（項目を追加するときはここに初期値を足す）
+const DEFAULT_SETTINGS = {
+  buzzerEnabled: false,
+  timerSeconds: 0,        // 制限時間の初期値（秒、0 = タイマーなし）。問題ごとの timeLimit で上書きできる
+  timerWarningSeconds: 5, // 残り何秒から警告音を鳴らすか
+  timerAutoReveal: false, // 時間切れで正解発表へ進むか
+  penaltyMode: "none",    // 不正解時の減点（PENALTY_MODES）
+  penaltyFixed: 100,      // penaltyMode = "fixed" のときの減点
+  answerFlow: "all",      // 解答の進め方（ANSWER_FLOWS）
+  stealPercent: 50,       // スティールで正解したときの得点（パネルの得点に対する%）
+  answerServerEnabled: false,                  // スマホ解答用のローカルサーバー（server/answer-server.js）に接続するか
+  answerServerUrl: "ws://localhost:3030/ws",   // ローカルサーバーの接続先
+  answerJoinCodes: {},                         // スマホがチームに参加するためのコード { [groupId]: 4桁の数字 }
+  soundVolume: 1,         // 効果音の音量（0〜1）
+  soundMuted: false,      // 効果音をすべて消す
+  introStaged: false,     // イントロ問題を「1秒 → 3秒 → フル」の段階再生にするか（false = 開いたらすぐ区間をループ再生）
+  introStageDecay: 0,     // 段階が1つ進むごとに得点を何%減らすか（0 = 減らさない）
+  snapshotMinutes: 5,     // ゲーム全体を自動でスナップショットに残す間隔（分、SNAPSHOT_INTERVALS）
+  keyBindings: {},        // キーボード操作の割り当て { [SHORTCUT_ACTIONS の id]: キーの配列 }（ないものは初期の割り当て）
+};
 
-    setProblems(prev => prev.map(p => ({ 
-      ...p, 
-      used: false, 
-      groupColor: null 
-    })));
-  };
+// スマホ解答サーバーとの接続状態
+const ANSWER_SERVER_STATUS = {
+  off: { label: "未接続", color: "#999" },
+  connecting: { label: "接続中…", color: "#f39c12" },
+  connected: { label: "接続済み", color: "#2ecc71" },
+  error: { label: "接続できません（再接続中）", color: "#e74c3c" },
+  denied: { label: "司会者として接続できません（サーバーを起動したPCで開いてください）", color: "#e74c3c" },
+};
 
-  // FULL RESET: 全てを初期化する関数
-  const resetGame = async () => {
-    if (!window.confirm("【警告】\n全てのデータを完全に初期化します。スコア、問題文、ジャンル名、**アップロードした音源**も全て消えますがよろしいですか？")) return;
-    
-    localStorage.removeItem("quiz_genres");
-    localStorage.removeItem("quiz_scores");
-    localStorage.removeItem("quiz_problems");
-    
-    await clearAudioDB();
+const createJoinCode = () => String(Math.floor(1000 + Math.random() * 9000));
 
-    setScores({ red: 0, blue: 0, green: 0, yellow: 0, purple: 0 });
-    setGenres(["ジャンル1", "ジャンル2", "ジャンル3", "ジャンル4", "イントロ"]);
-    setProblems(createInitialProblems());
-    setCorrectSoundUrl(null);
-  };
+// キーボード・プレゼンター用リモコンでの操作（keys は初期の割り当て。設定の keyBindings で変更できる）。
+// リモコンの「次へ」「戻る」は多くの場合 PageDown / PageUp を送る
+const SHORTCUT_ACTIONS = [
+  { id: "up", label: "パネル選択: 上", keys: ["ArrowUp"] },
+  { id: "down", label: "パネル選択: 下", keys: ["ArrowDown"] },
+  { id: "left", label: "パネル選択: 左", keys: ["ArrowLeft"] },
+  { id: "right", label: "パネル選択: 右", keys: ["ArrowRight"] },
+  { id: "next", label: "次へ（パネルを開く → 選択肢表示 → 正解発表 → 確定）", keys: ["Enter", "PageDown"] },
+  { id: "back", label: "戻る（正解発表をキャンセル → 問題を閉じる）", keys: ["Escape", "PageUp"] },
+  { id: "replay", label: "イントロの再生 / 停止（段階再生では次の段階）", keys: ["p"] },
+  { id: "correct", label: "解答中のチームを正解にする（早押し・スティール）", keys: ["o"] },
+  { id: "wrong", label: "解答中のチームを不正解にする（早押し・スティール）", keys: ["x"] },
+  { id: "help", label: "ショートカット一覧の表示 / 非表示", keys: ["?"] },
+];
 
-  const ranking = Object.entries(scores)
-    .map(([id, score]) => ({ id, score, label: GROUPS.find((g) => g.id === id).label }))
-    .sort((a, b) => b.score - a.score);
+const shortcutKeys = (settings, actionId) => (settings.keyBindings || {})[actionId] || SHORTCUT_ACTIONS.find((a) => a.id === actionId).keys;
 
-  return (
-    <div style={{ width: "100vw", minHeight: "100vh", background: "#660000", color: "white", padding: 24, boxSizing: "border-box", fontFamily: "sans-serif" }}>
+const SHORTCUT_KEY_LABELS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc", PageUp: "PgUp", PageDown: "PgDn", " ": "Space" };
+const shortcutKeyLabel = (key) => SHORTCUT_KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
 
-      <div style={{ position: "fixed", top: 16, left: 16, display: "flex", gap: 8 }}>
-        <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }} onClick={() => setSettingsOpen(true)}>設定</button>
-        <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#f39c12", color: "#fff", border: "1px solid #999" }} onClick={resetScoresAndUsage}>スコアリセット</button> 
-        <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#e74c3c", color: "#fff", border: "1px solid #999" }} onClick={resetGame}>全データ削除</button>
-      </div>
+// 矢印キーでのパネル選択（盤面の端では止まる。未選択なら左上から）
+const moveBoardCursor = (cursor, dir, cols, count) => {
+  if (cursor === null || cursor >= count) return count > 0 ? 0 : null;
+  const col = cursor % cols;
+  const next = {
+    up: cursor - cols,
+    down: cursor + cols,
+    left: col > 0 ? cursor - 1 : cursor,
+    right: col < cols - 1 ? cursor + 1 : cursor,
+  }[dir];
+  return next >= 0 && next < count ? next : cursor;
+};
 
-      <div style={{ position: "fixed", top: 16, right: 16, width: 220, background: "rgba(0,0,0,0.5)", padding: 12, borderRadius: 8 }}>
-        <h3 style={{ margin: "0 0 8px 0", textAlign: "center", borderBottom: "1px solid #aaa", paddingBottom: 4 }}>ランキング</h3>
-        {ranking.map((r) => (
-          <div key={r.id} style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
-            <div style={{ display: "flex", alignItems: "center" }}>
-               <div style={{ width: 10, height: 10, borderRadius: "50%", background: GROUPS.find(g => g.id === r.id).color, marginRight: 8 }}></div>
-               {r.label}
-            </div>
-            <div style={{ fontWeight: 700 }}>{r.score}</div>
-          </div>
-        ))}
-      </div>
+// 不正解時の減点方法
+const PENALTY_MODES = [
+  { id: "none", label: "減点なし" },
+  { id: "full", label: "パネルの得点分" },
+  { id: "half", label: "パネルの得点の半分" },
+  { id: "fixed", label: "固定値" },
+];
 
-      <div style={{ maxWidth: 1000, margin: "80px auto 24px" }}>
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: 12, textAlign: "center", fontWeight: 700 }}>
-          {genres.map((g, i) => (
-            <div key={i} style={{ padding: 12, background: "linear-gradient(#444, #222)", borderRadius: 8, border: "1px solid #666" }}>{g}</div>
-          ))}
-        </div>
+// 解答の進め方（早押しモードがオンのときは早押しの順番が優先される）
+const ANSWER_FLOWS = [
+  { id: "all", label: "全チーム同時に解答" },
+  { id: "steal", label: "1チームずつ解答（不正解なら他チームがスティール）" },
+];
 
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: 12, marginTop: 12 }}>
-          {problems.map((p, i) => (
-            <div key={i} style={{ 
-              background: p.groupColor ? p.groupColor : "rgba(255,255,255,0.1)", 
-              borderRadius: 12, 
-              padding: 12, 
-              height: 100, 
-              display: "flex", 
-              flexDirection: "column", 
-              alignItems: "center", 
-              justifyContent: "center",
-              border: p.used ? "2px solid rgba(0,0,0,0.3)" : "2px solid rgba(255,255,255,0.1)"
-            }}>
-              <div style={{ fontSize: 24, fontWeight: "bold", opacity: p.used ? 0.5 : 1 }}>{p.score}</div>
-              {!p.used && (
-                <button 
-                  style={{ marginTop: 8, padding: "4px 12px", borderRadius: 20, cursor: "pointer", border: "none", background: "#fff", color: "#333", fontWeight: "bold" }} 
-                  onClick={() => startProblem(i)}
-                >
-                  START
-                </button>
+const penaltyPoints = (settings, panelScore) => {
+  if (settings.penaltyMode === "full") return panelScore;
+  if (settings.penaltyMode === "half") return Math.round(panelScore / 2);
+  if (settings.penaltyMode === "fixed") return settings.penaltyFixed;
+  return 0;
+};
+
+// ===================================
+// Game Log (得点・パネルのイベント記録)
+// ===================================
+//
+// スコアとパネルの獲得状況は直接書き換えず、イベントを記録して先頭から再生して求める。
+//   snapshot: 記録を始める前の状態 { scores, panels }
+//   award:    正解発表の確定 { problemId, correct, wrong, award, penalty, color, players }
+//             players は解答したメンバー { [groupId]: playerId }（名簿のあるチームのみ・省略可）
+//   adjust:   手動の得点調整 { groupId, delta, reason }
+//   reopen:   使用済みパネルを再開（その問題で付与した得点も取り消す） { problemId }
+//   reset:    スコアリセット
+//
+// gameId はログを作るたびに新しくするID（履歴に保存するときに、別々のゲームの記録が上書きし合わないようにする）
+
+const createGameId = () => `game_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+const createGameLog = () => ({ gameId: createGameId(), events: [], cursor: 0 });
+// gameId がなかった頃に保存したログには、読み込んだときにIDを付ける
+const withGameId = (log) => (log.gameId ? log : { ...log, gameId: createGameId() });
+
+// cursor 件目までのイベントを再生して、スコアとパネルの状態 { [problemId]: { groupId, color } } を返す。
+// 結果画面の内訳用に、問題ごとの得点 byProblem { [groupId]: { [problemId]: 点 } } と
+// 問題に結びつかない得点 other { [groupId]: 点 }（記録開始時の持ち点・手動調整・ファイナル）、
+// メンバーごとの成績 playerStats { [playerId]: { points, correct, wrong } } も返す。
+// チームの得点はメンバーの得点の合計に、メンバーに結びつかない得点（other など）を足したものになる
+export function replayGameLog(events, groups) {
+  let scores = createInitialScores(groups);
+  let panels = {};
+  let awards = {};
+  let byProblem = {};
+  let other = {};
+  let playerStats = {};
+  const credit = (e, gid, delta, sign) => {
+    const pid = e.players && e.players[gid];
+    if (!pid) return;
+    const prev = playerStats[pid] || { points: 0, correct: 0, wrong: 0 };
+    const isCorrect = e.correct.includes(gid);
+    playerStats = {
+      ...playerStats,
+      [pid]: {
+        points: prev.points + delta * sign,
+        correct: prev.correct + (isCorrect ? sign : 0),
+        wrong: prev.wrong + (isCorrect ? 0 : sign),
+      },
+    };
+  };
+  const add = (gid, delta, problemId = null) => {
+    if (!(gid in scores)) return;
+    scores[gid] += delta;
+    if (problemId === null) {
+      other[gid] = (other[gid] || 0) + delta;
+    } else {
+      byProblem[gid] = { ...byProblem[gid], [problemId]: ((byProblem[gid] || {})[problemId] || 0) + delta };
+    }
+  };
+  const clear = () => {
+    scores = createInitialScores(groups);
+    panels = {};
+    awards = {};
+    byProblem = {};
+    other = {};
+    playerStats = {};
+  };
+
+  events.forEach((e) => {
+    if (e.type === "snapshot") {
+      clear();
+      Object.entries(e.scores).forEach(([gid, v]) => add(gid, v));
+      panels = { ...e.panels };
+    } else if (e.type === "award") {
+      e.correct.forEach((gid) => { add(gid, e.award, e.problemId); credit(e, gid, e.award, 1); });
+      e.wrong.forEach((gid) => { add(gid, -e.penalty, e.problemId); credit(e, gid, -e.penalty, 1); });
+      panels = { ...panels, [e.problemId]: { groupId: e.correct.length === 1 ? e.correct[0] : null, color: e.color } };
+      awards = { ...awards, [e.problemId]: e };
+    } else if (e.type === "adjust") {
+      add(e.groupId, e.delta);
+    } else if (e.type === "reopen") {
+      const prev = awards[e.problemId];
+      if (prev) {
+        prev.correct.forEach((gid) => { add(gid, -prev.award, e.problemId); credit(prev, gid, prev.award, -1); });
+        prev.wrong.forEach((gid) => { add(gid, prev.penalty, e.problemId); credit(prev, gid, -prev.penalty, -1); });
+      }
+      const { [e.problemId]: _removed, ...restPanels } = panels;
+      panels = restPanels;
+      const { [e.problemId]: _removedAward, ...restAwards } = awards;
+      awards = restAwards;
+    } else if (e.type === "reset") {
+      clear();
+    }
+  });
+  return { scores, panels, byProblem, other, playerStats };
+}
+
+// ===================================
+// Live Phase (出題中の状態。再読み込みやブラウザの異常終了から復帰する)
+// ===================================
+
+// 保存された出題中の状態を読み込む。問題が入れ替わっていたら出題中の問題は復元しない。
+// 動いていたタイマーは、最後に記録した時点の残り時間で一時停止した状態に戻す
+function loadLivePhase(setId, problems) {
+  const saved = JSON.parse(localStorage.getItem(quizStorageKey(setId, "live")) || "null");
+  if (!saved) return null;
+  if (saved.playIndex === null || !problems[saved.playIndex] || problems[saved.playIndex].id !== saved.problemId) {
+    return { finalRound: saved.finalRound || null };
+  }
+  const timer = saved.timer && saved.timer.running
+    ? { ...saved.timer, running: false, remaining: Math.max(0, saved.timer.endsAt - saved.savedAt) }
+    : saved.timer;
+  return { ...saved, timer };
+}
+
+// ===================================
+// Snapshots (ゲーム全体の定期バックアップ。設定画面からその時点に戻せる。メディアは含まない)
+// ===================================
+
+const MAX_SNAPSHOTS = 20;
+const SNAPSHOT_INTERVALS = [0, 1, 3, 5, 10]; // 分（0 = 自動保存しない）
+
+function loadSnapshots(setId) {
+  const saved = localStorage.getItem(quizStorageKey(setId, "snapshots"));
+  return saved ? JSON.parse(saved) : [];
+}
+
+// 保存容量が足りなければ古いものから減らして保存する
+function saveSnapshots(setId, snapshots) {
+  let list = snapshots.slice(0, MAX_SNAPSHOTS);
+  while (list.length > 0) {
+    try {
+      localStorage.setItem(quizStorageKey(setId, "snapshots"), JSON.stringify(list));
+      return;
+    } catch (e) {
+      list = list.slice(0, list.length - 1);
+    }
+  }
+  localStorage.removeItem(quizStorageKey(setId, "snapshots"));
+}
+
+// ===================================
+// Game History (終わったゲームの記録。全クイズセット共通)
+// ===================================
+
+const MAX_GAME_HISTORY = 200;
+
+export function loadGameHistory() {
+  const saved = localStorage.getItem("quiz_history");
+  return saved ? JSON.parse(saved) : [];
+}
+
+function saveGameHistory(history) {
+  localStorage.setItem("quiz_history", JSON.stringify(history.slice(0, MAX_GAME_HISTORY)));
+}
+
+// 表示中のゲームを履歴に保存する。同じゲーム（同じログの、最後のスコアリセット以降）の記録は上書きする。
+// 点数もパネルも動いていなければ保存しない
+export function archiveGameSession({ setId, setName, reason, gameId, events, groups, scores, playerStats, panels, problems, genres, board }) {
+  if (Object.keys(panels).length === 0 && groups.every((g) => !scores[g.id])) return;
+  const start = [...events].reverse().find((e) => e.type === "reset" || e.type === "snapshot");
+  const key = `${setId}:${gameId}:${start ? start.at : ""}`;
+  const teamOf = (gid) => groups.find((g) => g.id === gid);
+  const entry = {
+    key,
+    savedAt: new Date().toISOString(),
+    startedAt: start ? start.at : null,
+    setName,
+    reason,
+    board: { cols: board.cols, rows: board.rows },
+    genres: [...genres],
+    teams: rankStandings(groups, scores),
+    players: rankPlayers(groups, playerStats),
+    panels: problems.map((p, i) => {
+      const panel = panels[p.id];
+      const team = panel && panel.groupId && teamOf(panel.groupId);
+      return {
+        number: i + 1,
+        genre: genres[i % board.cols],
+        question: p.question,
+        score: p.score,
+        taken: Boolean(panel),
+        team: team ? team.label : null,
+        color: panel ? (team ? team.color : panel.color || "#444") : null,
+      };
+    }),
+  };
+  saveGameHistory([entry, ...loadGameHistory().filter((h) => h.key !== key)]);
+}
+
+// 同点は同じ順位にする（1位, 1位, 3位 …）
+function rankStandings(groups, scores) {
+  const sorted = groups
+    .map((g) => ({ id: g.id, label: g.label, color: g.color, score: scores[g.id] || 0 }))
+    .sort((a, b) => b.score - a.score);
+  return sorted.map((r) => ({ ...r, rank: sorted.findIndex((x) => x.score === r.score) + 1 }));
+}
+
+// 個人成績（名簿のメンバー全員）。得点が同じなら正解数の多い順、それも同じなら同じ順位にする
+function rankPlayers(groups, playerStats) {
+  const sorted = groups
+    .flatMap((g) => (g.players || []).map((pl) => ({
+      id: pl.id,
+      name: pl.name,
+      team: g.label,
+      color: g.color,
+      points: 0,
+      correct: 0,
+      wrong: 0,
+      ...playerStats[pl.id],
+    })))
+    .sort((a, b) => b.points - a.points || b.correct - a.correct);
+  return sorted.map((r) => ({ ...r, rank: sorted.findIndex((x) => x.points === r.points && x.correct === r.correct) + 1 }));
+}
+
+// MVP は個人1位（同点なら複数）。まだ誰も正解していなければなし
+const pickMVP = (players) => players.filter((r) => r.rank === 1 && r.correct > 0);
+
+// ログ表示用の説明文
+function describeGameEvent(e, groups, problems) {
+  const groupName = (gid) => (groups.find((g) => g.id === gid) || { label: "削除されたチーム" }).label;
+  // 解答したメンバーが記録されていれば「チーム（名前）」
+  const groupLabel = (gid) => {
+    const pid = e.players && e.players[gid];
+    const player = pid && ((groups.find((g) => g.id === gid) || {}).players || []).find((pl) => pl.id === pid);
+    return player ? `${groupName(gid)}（${player.name}）` : groupName(gid);
+  };
+  const problemLabel = (pid) => {
+    const idx = problems.findIndex((p) => p.id === pid);
+    return idx >= 0 ? `問題 ${idx + 1}` : "削除された問題";
+  };
+  const signed = (v) => (v >= 0 ? `+${v}` : `${v}`);
+
+  if (e.type === "award") {
+    const parts = [
+      ...e.correct.map((gid) => `${groupLabel(gid)} ${signed(e.award)}`),
+      ...e.wrong.filter(() => e.penalty).map((gid) => `${groupLabel(gid)} ${signed(-e.penalty)}`),
+    ];
+    return `${e.bonus ? "★" : ""}${problemLabel(e.problemId)}: ${parts.length ? parts.join(" / ") : "正解なし"}${e.steal ? "（スティール）" : ""}`;
+  }
+  if (e.type === "adjust") return `得点調整: ${groupLabel(e.groupId)} ${signed(e.delta)}${e.reason ? `（${e.reason}）` : ""}`;
+  if (e.type === "reopen") return `${problemLabel(e.problemId)} を再開`;
+  if (e.type === "reset") return "スコアリセット";
+  if (e.type === "snapshot") return "記録開始時の状態";
+  return e.type;
+}
+
+const MAX_GROUPS = 12;
+// チーム追加時に使う色（使われていない色から順に割り当て）
+const GROUP_COLOR_PALETTE = ["#e74c3c", "#3498db", "#2ecc71", "#f1c40f", "#8e44ad", "#e67e22", "#1abc9c", "#e84393", "#34495e", "#95a5a6", "#d35400", "#00cec9"];
+
+// チーム一覧から全チーム0点のスコアを生成
+const createInitialScores = (groups) => Object.fromEntries(groups.map((g) => [g.id, 0]));
+
+const DEFAULT_GENRES = ["ジャンル1", "ジャンル2", "ジャンル3", "ジャンル4", "イントロ"];
+
+// 盤面サイズ（cols = ジャンル数, rows = 行数）と各行の得点
+const MAX_BOARD_COLS = 8;
+const MAX_BOARD_ROWS = 10;
+const defaultRowScore = (row) => (row + 1) * 100;
+const DEFAULT_BOARD = { cols: 5, rows: 5, rowScores: [100, 200, 300, 400, 500] };
+
+// 問題の形式（text = 通常問題, intro = イントロ・音源問題）
+const QUESTION_TYPES = [
+  { id: "text", label: "通常問題" },
+  { id: "intro", label: "イントロ（音源）" },
+];
+
+// 解答の形式（"open" は選択肢を出さず、正解発表で模範解答 openAnswer だけを表示する）
+const ANSWER_FORMATS = [
+  { id: "choice", label: "選択式" },
+  { id: "truefalse", label: "○×" },
+  { id: "open", label: "記述（自由回答）" },
+];
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+const TRUE_FALSE_CHOICES = ["○", "×"];
+const choiceLabel = (idx) => "ABCDEF"[idx];
+
+// 正解として表示する文字列
+const answerTextOf = (p) => (p.answerFormat === "open" ? p.openAnswer || "" : p.choices[p.answer]);
+
+// 選択肢の表示の列数（3の倍数なら3列、それ以外は2列）
+const choiceGridColumns = (count) => (count % 3 === 0 ? 3 : 2);
+
+// 画像の段階的な表示方法（stage 0 が最も見えにくく、IMAGE_REVEAL_STAGES で完全に表示）
+const IMAGE_REVEAL_MODES = [
+  { id: "none", label: "最初から表示" },
+  { id: "blur", label: "ぼかし → くっきり" },
+  { id: "zoom", label: "拡大 → 全体" },
+  { id: "tiles", label: "パネルめくり" },
+];
+const IMAGE_REVEAL_STAGES = 5;
+const IMAGE_REVEAL_TILES = 4; // パネルめくりの分割数（4×4）
+
+// 段階に応じた画像のスタイル（blur / zoom）
+const imageRevealStyle = (mode, stage) => {
+  const rest = 1 - Math.min(stage, IMAGE_REVEAL_STAGES) / IMAGE_REVEAL_STAGES;
+  if (mode === "blur") return { filter: `blur(${Math.round(rest * 40)}px)` };
+  if (mode === "zoom") return { transform: `scale(${1 + rest * 4})` };
+  return {};
+};
+
+// パネルめくりで、問題ごとに決まった順番でタイルを開ける
+const tileRevealOrder = (seed) => {
+  const order = Array.from({ length: IMAGE_REVEAL_TILES * IMAGE_REVEAL_TILES }, (_, i) => i);
+  let x = seed + 1;
+  for (let i = order.length - 1; i > 0; i--) {
+    x = (x * 9301 + 49297) % 233280;
+    const j = Math.floor((x / 233280) * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+// 問題形式が未設定の旧データは、従来どおり最終列をイントロ問題として扱う
+const legacyQuestionType = (index, cols) => (index % cols === cols - 1 ? "intro" : "text");
+
+// 問題1件を生成（idは音源キーに使うため、盤面を変えても変わらない）
+const createProblem = (id, index, score, type = "text") => ({
+  id,
+  type,
+  question: `問題 ${index + 1}（サンプル）`,
+  answerFormat: "choice",
+  choices: ["選択肢A", "選択肢B", "選択肢C", "選択肢D"],
+  answer: 0,
+  openAnswer: "", // 記述問題の模範解答
+  imageReveal: "none",
+  note: "",
+  timeLimit: null, // null = 全体設定の制限時間を使う
+  clipStart: 0,    // イントロ音源の再生開始位置（秒）
+  clipLength: null, // イントロ音源の再生の長さ（秒、null = 最後まで）
+  fadeOut: 1,      // イントロ音源の終わりのフェードアウト（秒）
+  bonus: false,    // ボーナスパネル（開くまで観客には分からない。得点の代わりに賭け金を増減する）
+  score,
+});
+
+// ファイナル問題（盤面とは別の1問。全チームが持ち点から賭け金を決めて解答する）
+const DEFAULT_FINAL = {
+  category: "ファイナル",
+  question: "ファイナル問題（サンプル）",
+  choices: ["選択肢A", "選択肢B", "選択肢C", "選択肢D"],
+  answer: 0,
+  note: "",
+  timeLimit: 30, // 秒（0 = タイマーなし）
+};
+
+// 初期データ生成用関数
+const createInitialProblems = (board = DEFAULT_BOARD) =>
+  Array.from({ length: board.cols * board.rows }, (_, i) =>
+    createProblem(i, i, board.rowScores[Math.floor(i / board.cols)], legacyQuestionType(i, board.cols))
+  );
+
+// 盤面サイズ変更時に、同じ位置（行・列）の問題を引き継いで並べ直す
+const resizeProblems = (prev, oldBoard, newBoard) => {
+  let nextId = prev.reduce((max, p) => Math.max(max, p.id), -1) + 1;
+  const result = [];
+  for (let r = 0; r < newBoard.rows; r++) {
+    for (let c = 0; c < newBoard.cols; c++) {
+      const old = r < oldBoard.rows && c < oldBoard.cols ? prev[r * oldBoard.cols + c] : null;
+      result.push(old
+        ? { ...old, score: newBoard.rowScores[r] }
+        : createProblem(nextId++, r * newBoard.cols + c, newBoard.rowScores[r]));
+    }
+  }
+  return result;
+};
+
+// 選択肢の数の変更（増やした分は空欄、減らして正解が消えたら A を正解にする）
+const resizeChoices = (p, count) => ({
+  ...p,
+  choices: Array.from({ length: count }, (_, c) => p.choices[c] ?? `選択肢${choiceLabel(c)}`),
+  answer: p.answer < count ? p.answer : 0,
+});
+
+// 選択肢の数の選択（通常の問題とファイナル問題の編集で共通）
+function ChoiceCountSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} style={{ marginLeft: 8, padding: 8 }}>
+      {Array.from({ length: MAX_CHOICES - MIN_CHOICES + 1 }, (_, n) => <option key={n} value={n + MIN_CHOICES}>{n + MIN_CHOICES}</option>)}
+    </select>
+  );
+}
+
+// 選択肢の入力欄（数に応じて2列か3列に並べる）
+function ChoiceInputs({ choices, onChange }) {
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: `repeat(${choiceGridColumns(choices.length)}, 1fr)`, gap: 8 }}>
+      {choices.map((c, cIdx) => (
+        <input
+          key={cIdx}
+          value={c}
+          onChange={(e) => onChange(cIdx, e.target.value)}
+          placeholder={`選択肢 ${choiceLabel(cIdx)}`}
+          style={{ padding: 8 }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// マイク録音（レベルメーター・試聴・トリミング付き）。保存すると onSave(WAVのBlob) を呼ぶ
+function AudioRecorder({ onSave }) {
+  const [status, setStatus] = useState("idle"); // "idle" | "recording" | "recorded"
+  const [level, setLevel] = useState(0);
+  const [recording, setRecording] = useState(null); // { buffer: AudioBuffer, url }
+  const [trim, setTrim] = useState({ start: 0, end: 0 });
+  const [saving, setSaving] = useState(false);
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const meterRef = useRef(null);
+  const previewRef = useRef(null);
+
+  const stopMeter = () => {
+    if (!meterRef.current) return;
+    cancelAnimationFrame(meterRef.current.frame);
+    meterRef.current.ctx.close();
+    meterRef.current = null;
+    setLevel(0);
+  };
+
+  const stopStream = () => {
+    if (streamRef.current) streamRef.current.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+  };
+
+  // 設定画面を閉じたときなどにマイクを解放する
+  useEffect(() => () => {
+    stopMeter();
+    stopStream();
+    if (previewRef.current) previewRef.current.pause();
+  }, []);
+
+  useEffect(() => () => {
+    if (recording) URL.revokeObjectURL(recording.url);
+  }, [recording]);
+
+  const startRecording = async () => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (e) {
+      window.alert("マイクを使用できません。ブラウザのマイクの許可を確認してください。");
+      return;
+    }
+    streamRef.current = stream;
+
+    // MediaRecorder のないブラウザや、録音できない形式のマイクではここで例外になる
+    try {
+      // レベルメーター
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      meterRef.current = { ctx, frame: null };
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      ctx.createMediaStreamSource(stream).connect(analyser);
+      const samples = new Float32Array(analyser.fftSize);
+      const tick = () => {
+        analyser.getFloatTimeDomainData(samples);
+        setLevel(Math.min(1, Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length) * 4));
+        meterRef.current.frame = requestAnimationFrame(tick);
+      };
+      meterRef.current.frame = requestAnimationFrame(tick);
+
+      const chunks = [];
+      const recorder = new MediaRecorder(stream);
+      recorder.ondataavailable = (e) => chunks.push(e.data);
+      recorder.onstop = async () => {
+        stopMeter();
+        stopStream();
+        try {
+          const blob = new Blob(chunks, { type: recorder.mimeType });
+          const decodeCtx = new (window.AudioContext || window.webkitAudioContext)();
+          const buffer = await decodeCtx.decodeAudioData(await blob.arrayBuffer());
+          decodeCtx.close();
+          setRecording({ buffer, url: URL.createObjectURL(blob) });
+          setTrim({ start: 0, end: buffer.duration });
+          setStatus("recorded");
+        } catch (e) {
+          window.alert("録音データを読み込めませんでした。");
+          setStatus("idle");
+        }
+      };
+      recorder.start();
+      recorderRef.current = recorder;
+    } catch (e) {
+      stopMeter();
+      stopStream();
+      window.alert("このブラウザでは録音できません。別のブラウザでお試しください。");
+      return;
+    }
+    setStatus("recording");
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current && recorderRef.current.state !== "inactive") recorderRef.current.stop();
+  };
+
+  const previewTrim = () => {
+    if (previewRef.current && !previewRef.current.paused) {
+      previewRef.current.pause();
+      return;
+    }
+    previewRef.current = new Audio(recording.url);
+    playAudioClip(previewRef.current, { start: trim.start, length: trim.end - trim.start });
+  };
+
+  const saveRecording = async () => {
+    setSaving(true);
+    await onSave(audioBufferToWav(recording.buffer, trim.start, trim.end));
+    setSaving(false);
+    setRecording(null);
+    setStatus("idle");
+  };
+
+  const duration = recording ? recording.buffer.duration : 0;
+
+  return (
+    <div style={{ marginTop: 8, padding: 8, border: "1px dashed #999", borderRadius: 8, background: "#fff" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        {status === "recording" ? (
+          <button onClick={stopRecording} style={{ cursor: "pointer", color: "#e74c3c", fontWeight: "bold" }}>■ 録音停止</button>
+        ) : (
+          <button onClick={startRecording} disabled={saving} style={{ cursor: "pointer" }}>● {status === "recorded" ? "録り直す" : "マイクで録音"}</button>
+        )}
+        {status === "recording" && (
+          <div style={{ width: 160, height: 10, background: "#eee", borderRadius: 5, overflow: "hidden" }}>
+            <div style={{ width: `${level * 100}%`, height: "100%", background: level > 0.8 ? "#e74c3c" : "#2ecc71", transition: "width 0.05s" }} />
+          </div>
+        )}
+      </div>
+
+      {status === "recorded" && recording && (
+        <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12, fontSize: 14 }}>
+          <label>
+            開始 {trim.start.toFixed(1)}秒
+            <input type="range" min={0} max={duration} step={0.1} value={trim.start} onChange={(e) => setTrim((prev) => ({ ...prev, start: Math.min(Number(e.target.value), prev.end - 0.1) }))} style={{ marginLeft: 4, verticalAlign: "middle" }} />
+          </label>
+          <label>
+            終了 {trim.end.toFixed(1)}秒
+            <input type="range" min={0} max={duration} step={0.1} value={trim.end} onChange={(e) => setTrim((prev) => ({ ...prev, end: Math.max(Number(e.target.value), prev.start + 0.1) }))} style={{ marginLeft: 4, verticalAlign: "middle" }} />
+          </label>
+          <button onClick={previewTrim} style={{ cursor: "pointer" }}>▶ 試聴 / ■ 停止</button>
+          <button onClick={saveRecording} disabled={saving} style={{ cursor: "pointer", fontWeight: "bold" }}>{saving ? "保存中…" : "この録音を保存"}</button>
+          <button onClick={() => { setRecording(null); setStatus("idle"); }} disabled={saving} style={{ cursor: "pointer" }}>破棄</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ボーナスパネルを開いたときの演出
+const BONUS_KEYFRAMES = `
+@keyframes quizBonusPop {
+  0% { transform: scale(0.2) rotate(-12deg); opacity: 0; }
+  60% { transform: scale(1.2) rotate(4deg); opacity: 1; }
+  100% { transform: scale(1) rotate(0deg); }
+}
+@keyframes quizBonusGlow {
+  0%, 100% { text-shadow: 0 0 8px #f1c40f; }
+  50% { text-shadow: 0 0 32px #f39c12, 0 0 48px #f1c40f; }
+}`;
+
+// 結果発表の表彰台（3位 → 2位 → 1位の順にせり上がる）
+const RESULTS_KEYFRAMES = `
+@keyframes quizPodiumRise {
+  from { transform: scaleY(0); }
+  to { transform: scaleY(1); }
+}
+@keyframes quizPodiumFade {
+  from { opacity: 0; transform: translateY(-24px); }
+  to { opacity: 1; transform: translateY(0); }
+}`;
+
+// 表彰台の段（左から 2位・1位・3位）
+const PODIUM_STEPS = [
+  { rank: 2, height: 140, color: "#bdc3c7", delay: 1.0 },
+  { rank: 1, height: 200, color: "#f1c40f", delay: 1.8 },
+  { rank: 3, height: 100, color: "#cd7f32", delay: 0.3 },
+];
+
+// ===================================
+// Bulk Import (表計算ソフトからの CSV / TSV 一括読み込み)
+// ===================================
+
+// CSV / TSV の文字列を2次元配列にする（1行目にタブがあればTSV。ダブルクォートで囲んだ区切り文字・改行に対応）
+export function parseDelimitedText(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = source.split(/\r?\n/)[0].includes("\t") ? "\t" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // 空行は無視する
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// 読み込む項目と、見出し行から列を見つけるための名前
+const IMPORT_FIELDS = [
+  { id: "genre", label: "ジャンル", aliases: ["ジャンル", "genre", "category", "カテゴリ"] },
+  { id: "question", label: "問題文", aliases: ["問題", "問題文", "question"] },
+  { id: "choiceA", label: "選択肢A", aliases: ["選択肢a", "a", "choicea", "choice1", "選択肢1"] },
+  { id: "choiceB", label: "選択肢B", aliases: ["選択肢b", "b", "choiceb", "choice2", "選択肢2"] },
+  { id: "choiceC", label: "選択肢C", aliases: ["選択肢c", "c", "choicec", "choice3", "選択肢3"] },
+  { id: "choiceD", label: "選択肢D", aliases: ["選択肢d", "d", "choiced", "choice4", "選択肢4"] },
+  { id: "choiceE", label: "選択肢E", aliases: ["選択肢e", "e", "choicee", "choice5", "選択肢5"] },
+  { id: "choiceF", label: "選択肢F", aliases: ["選択肢f", "f", "choicef", "choice6", "選択肢6"] },
+  { id: "answer", label: "正解", aliases: ["正解", "答え", "answer"] },
+  { id: "score", label: "得点", aliases: ["得点", "点数", "score", "points"] },
+];
+const IMPORT_CHOICE_FIELDS = ["choiceA", "choiceB", "choiceC", "choiceD", "choiceE", "choiceF"];
+
+// 1行目が見出しなら列名から、そうでなければ「ジャンル・問題文・選択肢A〜D・正解・得点」の並び順で列を対応させる
+function guessImportMapping(rows) {
+  const header = (rows[0] || []).map((c) => c.trim().toLowerCase().replace(/\s/g, ""));
+  const mapping = {};
+  IMPORT_FIELDS.forEach((f) => {
+    const col = header.findIndex((h) => f.aliases.includes(h));
+    if (col >= 0) mapping[f.id] = col;
+  });
+  const hasHeader = Object.keys(mapping).length >= 2;
+  if (!hasHeader) {
+    ["genre", "question", "choiceA", "choiceB", "choiceC", "choiceD", "answer", "score"].forEach((id, n) => { mapping[id] = n; });
+  }
+  return { mapping, hasHeader };
+}
+
+// 正解の指定（A〜F / 1〜6 / 選択肢の文字列）を選択肢の番号にする
+function parseImportAnswer(value, choices) {
+  const v = value.trim().normalize("NFKC");
+  const idx = choices.indexOf(value.trim());
+  if (idx >= 0) return idx;
+  let n = null;
+  if (/^[A-Fa-f]$/.test(v)) n = v.toUpperCase().charCodeAt(0) - 65;
+  if (/^[1-6]$/.test(v)) n = Number(v) - 1;
+  return n !== null && n < choices.length ? n : null;
+}
+
+// 1行ずつ問題に変換する。選択肢がすべて空欄なら記述問題（正解の列が模範解答）、選択肢が「○・×」なら○×問題にする。
+// 戻り値 [{ line: 元の行番号, genre, question, answerFormat, choices, answer, openAnswer, score, errors }]
+export function parseImportRows(rows, mapping, hasHeader) {
+  const get = (row, id) => (mapping[id] == null ? "" : (row[mapping[id]] || "").trim());
+  return rows.slice(hasHeader ? 1 : 0).map((row, n) => {
+    const errors = [];
+    const genre = get(row, "genre");
+    const question = get(row, "question");
+    const cells = IMPORT_CHOICE_FIELDS.map((id) => get(row, id));
+    const count = cells.reduce((last, c, i) => (c ? i + 1 : last), 0);
+    const choices = cells.slice(0, count);
+    const answerFormat = count === 0 ? "open" : choices.join() === TRUE_FALSE_CHOICES.join() ? "truefalse" : "choice";
+    const answerCell = get(row, "answer");
+    const answer = answerFormat === "open" ? 0 : parseImportAnswer(answerCell, choices);
+    const scoreText = get(row, "score");
+    const score = scoreText === "" ? null : Number(scoreText.normalize("NFKC"));
+
+    if (!genre) errors.push("ジャンルがありません");
+    if (!question) errors.push("問題文がありません");
+    if (count === 1) errors.push(`選択肢は ${MIN_CHOICES} つ以上必要です`);
+    choices.forEach((c, i) => { if (!c) errors.push(`選択肢${choiceLabel(i)}が空欄です`); });
+    if (answerFormat === "open" && !answerCell) errors.push("記述問題の模範解答（正解の列）がありません");
+    if (answer === null) errors.push(`正解「${answerCell}」が選択肢と一致しません（A〜F・1〜6・選択肢の文字列で指定）`);
+    if (score !== null && (!Number.isFinite(score) || score < 0)) errors.push(`得点「${scoreText}」が数値ではありません`);
+
+    return {
+      line: n + (hasHeader ? 2 : 1),
+      genre,
+      question,
+      answerFormat,
+      choices: answerFormat === "open" ? ["選択肢A", "選択肢B", "選択肢C", "選択肢D"] : choices,
+      answer,
+      openAnswer: answerFormat === "open" ? answerCell : "",
+      score,
+      errors,
+    };
+  });
+}
+
+// 読み込んだ問題を盤面に並べる（ジャンルの登場順に1列ずつ、同じジャンルの問題は上から順に）
+export function layoutImportedRows(items) {
+  const genres = [];
+  const columns = [];
+  items.forEach((item) => {
+    let c = genres.indexOf(item.genre);
+    if (c < 0) {
+      c = genres.push(item.genre) - 1;
+      columns.push([]);
+    }
+    columns[c].push(item);
+  });
+  const rows = Math.max(0, ...columns.map((col) => col.length));
+  const errors = [];
+  const warnings = [];
+  if (genres.length > MAX_BOARD_COLS) errors.push(`ジャンルは ${MAX_BOARD_COLS} 個までです（${genres.length} 個あります）`);
+  if (rows > MAX_BOARD_ROWS) errors.push(`1ジャンルの問題は ${MAX_BOARD_ROWS} 問までです（最大 ${rows} 問あります）`);
+  columns.forEach((col, c) => {
+    if (col.length < rows) warnings.push(`「${genres[c]}」は ${col.length} 問しかないため、残り ${rows - col.length} 問はサンプル問題になります`);
+  });
+  return { genres, columns, cols: genres.length, rows, errors, warnings };
+}
+
+// 司会者画面と観客画面の同期に使うチャンネル名（同じブラウザ内のウィンドウ間のみ）
+const SYNC_CHANNEL = "quiz_game_sync";
+
+// view = "host"（司会者画面）| "audience"（観客画面：盤面・問題・選択肢・ランキングのみ表示）
+// setId = 表示中のクイズセット, onSwitchSet = 別のクイズセットに切り替える（App側で再マウントする）
+export default function QuizGame({ view = "host", setId = DEFAULT_SET_ID, onSwitchSet = () => {} }) {
+  const isAudience = view === "audience";
+  const storageKey = (name) => quizStorageKey(setId, name);
+
+  // --- State初期化（ローカルストレージから読み込み） ---
+  
+  const [genres, setGenres] = useState(() => {
+    const saved = localStorage.getItem(storageKey("genres"));
+    return saved ? JSON.parse(saved) : DEFAULT_GENRES;
+  });
+
+  const [board, setBoard] = useState(() => {
+    const saved = localStorage.getItem(storageKey("board"));
+    if (saved) return JSON.parse(saved);
+    // 盤面設定のない（5×5固定だった頃の）保存データは、保存済みの問題から盤面を復元する
+    const savedProblems = localStorage.getItem(storageKey("problems"));
+    if (savedProblems) {
+      const parsed = JSON.parse(savedProblems);
+      const cols = DEFAULT_BOARD.cols;
+      const rows = Math.ceil(parsed.length / cols);
+      return { cols, rows, rowScores: Array.from({ length: rows }, (_, r) => (parsed[r * cols] || {}).score ?? defaultRowScore(r)) };
+    }
+    return DEFAULT_BOARD;
+  });
+
+  const [groups, setGroups] = useState(() => {
+    const saved = localStorage.getItem(storageKey("groups"));
+    if (!saved) return GROUPS;
+    // 早押しキーのない旧データには数字キーを割り当てる
+    return JSON.parse(saved).map((g, i) => (g.buzzKey === undefined ? { ...g, buzzKey: BUZZ_KEY_CANDIDATES[i] || "" } : g));
+  });
+
+  const [settings, setSettings] = useState(() => {
+    const saved = localStorage.getItem(storageKey("settings"));
+    return { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+  });
+
+  // 得点・パネルのイベントログ（cursor より後ろは「やり直す」用に残っているイベント）
+  const [gameLog, setGameLog] = useState(() => {
+    const saved = localStorage.getItem(storageKey("game_log"));
+    if (saved) return withGameId(JSON.parse(saved));
+    // ログがなかった頃の保存データ（スコアと使用済みパネルを直接保存）は、記録開始時の状態として取り込む
+    const savedScores = JSON.parse(localStorage.getItem(storageKey("scores")) || "null");
+    const panels = {};
+    JSON.parse(localStorage.getItem(storageKey("problems")) || "[]").forEach((p) => {
+      if (p.used) panels[p.id] = { groupId: p.groupId || null, color: p.groupColor || "#444" };
+    });
+    if (!savedScores && Object.keys(panels).length === 0) return createGameLog();
+    return { ...createGameLog(), events: [{ id: 0, type: "snapshot", scores: savedScores || {}, panels, at: new Date().toISOString() }], cursor: 1 };
+  });
+
+  const [problems, setProblems] = useState(() => {
+    const saved = localStorage.getItem(storageKey("problems"));
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      return parsed.map(({ used, groupId, groupColor, ...p }, i) => ({ imageReveal: "none", ...p, type: p.type || legacyQuestionType(i, board.cols), audio: null, image: null, video: null })); 
+    }
+    return createInitialProblems();
+  });
+
+  const { scores, panels, byProblem, other, playerStats } = useMemo(
+    () => replayGameLog(gameLog.events.slice(0, gameLog.cursor), groups),
+    [gameLog, groups]
+  );
+
+  // 獲得済みパネルの色（チームの色を変えたら追従。削除されたチームは獲得時の色のまま）
+  const panelColor = (panel) => {
+    const group = panel.groupId && groups.find((g) => g.id === panel.groupId);
+    return group ? group.color : panel.color || "#444";
+  };
+  
+  // 効果音ID → アップロードされた音源のURL（ない効果音は合成音を鳴らす）
+  const [soundUrls, setSoundUrls] = useState({});
+
+
+  // --- IndexedDBからのメディアロード処理 ---
+  useEffect(() => {
+    // 観客画面は司会者画面から届いた内容に合わせて個別にロードする
+    if (isAudience) return;
+    const loadAllMedia = async () => {
+        // 1. 効果音のロード
+        const sounds = {};
+        for (const effect of SOUND_EFFECTS) {
+            const blob = await loadMediaFromDB(quizMediaKey(setId, effect.mediaKey));
+            if (blob) sounds[effect.id] = URL.createObjectURL(blob);
+        }
+        setSoundUrls(sounds);
+
+        // 2. 問題ごとのメディア（イントロ音源・画像・動画）のロード
+        const loaded = {};
+        for (const p of problems) {
+            for (const kind of PROBLEM_MEDIA_KINDS) {
+                const blob = await loadMediaFromDB(quizMediaKey(setId, mediaKey(kind, p.id)));
+                if (blob) {
+                    loaded[p.id] = { ...loaded[p.id], [kind]: URL.createObjectURL(blob) };
+                }
+            }
+        }
+        if (Object.keys(loaded).length > 0) {
+            setProblems((prev) => prev.map((p) => (loaded[p.id] ? { ...p, ...loaded[p.id] } : p)));
+        }
+    };
+    loadAllMedia();
+  }, [isAudience, setId]); 
+
+  const [finalProblem, setFinalProblem] = useState(() => {
+    const saved = localStorage.getItem(storageKey("final"));
+    return saved ? { ...DEFAULT_FINAL, ...JSON.parse(saved) } : DEFAULT_FINAL;
+  });
+
+  // --- テキストデータのローカルストレージへの自動保存（保存は司会者画面のみ） ---
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "genres"), JSON.stringify(genres));
+  }, [isAudience, setId, genres]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "board"), JSON.stringify(board));
+  }, [isAudience, setId, board]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "groups"), JSON.stringify(groups));
+  }, [isAudience, setId, groups]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "settings"), JSON.stringify(settings));
+  }, [isAudience, setId, settings]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "game_log"), JSON.stringify(gameLog));
+  }, [isAudience, setId, gameLog]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    const problemsToSave = problems.map(p => ({ ...p, audio: null, image: null, video: null }));
+    const json = JSON.stringify(problemsToSave);
+    // 開いた直後やメディアの読み込みでは内容が変わらないので、更新日時は進めない
+    if (localStorage.getItem(quizStorageKey(setId, "problems")) === json) return;
+    localStorage.setItem(quizStorageKey(setId, "problems"), json);
+    touchQuizSet(setId);
+  }, [isAudience, setId, problems]);
+
+  useEffect(() => {
+    if (isAudience) return;
+    localStorage.setItem(quizStorageKey(setId, "final"), JSON.stringify(finalProblem));
+  }, [isAudience, setId, finalProblem]);
+
+
+  // --- その他StateとRef ---
+  // 再読み込み前の出題中の状態（観客画面は司会者画面から受け取るので復元しない）
+  const [restoredLive] = useState(() => (isAudience ? null : loadLivePhase(setId, problems)));
+  const restored = (name, fallback) => (restoredLive && restoredLive[name] !== undefined ? restoredLive[name] : fallback);
+
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  // クイズライブラリ（保存済みクイズセットの一覧）
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [quizSets, setQuizSets] = useState(() => loadQuizSets());
+  const [activeProblem, setActiveProblem] = useState(null); 
+  const [playIndex, setPlayIndex] = useState(() => restored("playIndex", null));
+  const [showChoices, setShowChoices] = useState(() => restored("showChoices", false));
+  
+  // NEW: 「もう一度再生」ボタンの再生状態を管理
+  const [isPlayingAudio, setIsPlayingAudio] = useState(false); 
+
+  // イントロの段階再生で再生した一番長い段階（INTRO_STAGES の位置、null = まだ再生していない）
+  const [introStage, setIntroStage] = useState(() => restored("introStage", null));
+
+  // 正解発表での判定: selectedGroups = 正解チーム, wrongGroups = 不正解チーム（どちらにもないチームは未回答）
+  const [selectedGroups, setSelectedGroups] = useState(() => restored("selectedGroups", []));
+  const [wrongGroups, setWrongGroups] = useState(() => restored("wrongGroups", []));
+  const [revealOpen, setRevealOpen] = useState(() => restored("revealOpen", false));
+
+  // 部分点・減点の手動指定（null = パネルの得点・減点設定どおり）
+  const [awardOverride, setAwardOverride] = useState(() => restored("awardOverride", null));
+  const [penaltyOverride, setPenaltyOverride] = useState(() => restored("penaltyOverride", null));
+
+  // 手動の得点調整パネル
+  const [adjustOpen, setAdjustOpen] = useState(false);
+  const [adjustAmount, setAdjustAmount] = useState(100);
+  const [adjustReason, setAdjustReason] = useState("");
+
+  // ボーナスパネルの賭け { groupId: 賭けるチーム, amount: 賭け金, locked: 確定して出題済みか }
+  const [wager, setWager] = useState(() => restored("wager", null));
+
+  // ファイナルの進行
+  // { stage: "category" | "wager" | "question" | "judge" | "done", wagers: { チームID: 賭け金 }, sealed: 賭け金を確定したチームID,
+  //   order: 判定する順（持ち点の少ない順）, revealIndex: 判定中のチームの位置, results: { チームID: "correct" | "wrong" } }
+  const [finalRound, setFinalRound] = useState(() => restored("finalRound", null));
+
+  // CSV / TSV 一括読み込み { rows: 解析した表, mapping: { 項目ID: 列番号 }, hasHeader }
+  const [bulkText, setBulkText] = useState("");
+  const [bulkImport, setBulkImport] = useState(null);
+  // 問題編集を表形式で表示するか
+  const [problemTableView, setProblemTableView] = useState(false);
+
+  // ゲーム履歴
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [gameHistory, setGameHistory] = useState([]);
+  const [historyDetail, setHistoryDetail] = useState(null); // 内容を表示中の履歴の key
+
+  // 正解発表で得点を記録するメンバー { [groupId]: playerId }
+  const [answerPlayers, setAnswerPlayers] = useState(() => restored("answerPlayers", {}));
+  // 右上のランキングの表示: "team" | "player"（個人成績）
+  const [rankingView, setRankingView] = useState("team");
+
+  // キーボードで選択中のパネル（null = まだ矢印キーを使っていない）とショートカット一覧の表示
+  const [boardCursor, setBoardCursor] = useState(null);
+  const [shortcutHelpOpen, setShortcutHelpOpen] = useState(false);
+
+  // スティール: { current: 解答中のチームID, attempts: [{ groupId, result: "wrong" | "pass" }] }（最初のチームを選ぶまでは null）
+  const [stealFlow, setStealFlow] = useState(() => restored("stealFlow", null));
+
+  // 結果発表画面（表彰台・最終順位・内訳）
+  const [resultsOpen, setResultsOpen] = useState(false);
+  const [resultsDetail, setResultsDetail] = useState("genre"); // 内訳の表示: "genre" | "problem"
+
+  // 画像の段階表示（0 = 最も見えにくい状態）
+  const [imageStage, setImageStage] = useState(() => restored("imageStage", 0));
+
+  // 観客画面に正解を表示したかどうか（観客画面側は届いた正解の文字列を持つ）
+  const [answerShown, setAnswerShown] = useState(() => restored("answerShown", false));
+  const [audienceAnswer, setAudienceAnswer] = useState(null);
+  const [audienceFinalAnswer, setAudienceFinalAnswer] = useState(null);
+
+  // 早押し: 押した順のチームIDと、不正解になった（もう押せない）チームID
+  const [buzzOrder, setBuzzOrder] = useState(() => restored("buzzOrder", []));
+  const [buzzWrong, setBuzzWrong] = useState(() => restored("buzzWrong", []));
+  const activeBuzzer = buzzOrder.find((gid) => !buzzWrong.includes(gid)) || null;
+
+  // スマホからの解答 { [groupId]: 選択肢の番号 }（観客画面には正解を表示するまで番号を null にして送る）
+  const [remoteAnswers, setRemoteAnswers] = useState(() => restored("remoteAnswers", {}));
+  const [answerServerStatus, setAnswerServerStatus] = useState("off");
+
+  // 制限時間タイマー { total: 秒, running, endsAt: 終了予定時刻, remaining: 一時停止中の残りms }
+  const [timer, setTimer] = useState(() => restored("timer", null));
+  const [timerNow, setTimerNow] = useState(() => Date.now());
+  const warnedSecondRef = useRef(null);
+  const timerRemaining = timer ? (timer.running ? Math.max(0, timer.endsAt - timerNow) : timer.remaining) : 0;
+
+  const audioRef = useRef(null);
+  const stopClipRef = useRef(null);
+  const previewAudioRef = useRef(null);
+  const soundAudioRef = useRef({});
+
+  // 効果音の再生（音量・ミュートの設定に従う）
+  const playSound = useCallback((id) => {
+    if (settings.soundMuted) return;
+    try {
+      const url = soundUrls[id];
+      if (url) {
+        if (!soundAudioRef.current[id]) soundAudioRef.current[id] = new Audio(url);
+        const a = soundAudioRef.current[id];
+        a.volume = settings.soundVolume;
+        a.currentTime = 0;
+        a.play().catch(() => {});
+      } else {
+        // デフォルト音の再生
+        SOUND_EFFECTS.find((effect) => effect.id === id).synth(settings.soundVolume);
+      }
+    } catch (e) {}
+  }, [soundUrls, settings.soundMuted, settings.soundVolume]);
+  const videoRef = useRef(null);
+
+  // --- 司会者画面 ⇔ 観客画面の同期 ---
+  const channelRef = useRef(null);
+  const syncStateRef = useRef(null);
+  const mediaCacheRef = useRef({});
+
+  useEffect(() => {
+    if (typeof BroadcastChannel === "undefined") return;
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channelRef.current = channel;
+
+    // 観客画面: 画像・動画は司会者画面のURLを目印に、自分でIndexedDBからロードする
+    const resolveMedia = (p) => {
+      const result = {};
+      ["image", "video"].forEach((kind) => {
+        const token = p[kind];
+        const key = mediaKey(kind, p.id);
+        const cached = mediaCacheRef.current[key];
+        if (!token) {
+          result[kind] = null;
+        } else if (cached && cached.token === token) {
+          result[kind] = cached.url;
+        } else {
+          result[kind] = null;
+          mediaCacheRef.current[key] = { token, url: null };
+          loadMediaFromDB(quizMediaKey(setId, key)).then((blob) => {
+            const entry = mediaCacheRef.current[key];
+            if (!blob || entry.token !== token) return;
+            entry.url = URL.createObjectURL(blob);
+            setProblems((prev) => prev.map((x) => (x.id === p.id ? { ...x, [kind]: entry.url } : x)));
+          });
+        }
+      });
+      return result;
+    };
+
+    channel.onmessage = (event) => {
+      const msg = event.data;
+      if (!isAudience) {
+        if (msg.type === "hello" && syncStateRef.current) channel.postMessage({ type: "state", state: syncStateRef.current });
+        return;
+      }
+      if (msg.type === "state") {
+        const st = msg.state;
+        // 司会者画面が別のクイズセットに切り替えた場合は、観客画面も同じセットで開き直す
+        if (st.setId !== setId) {
+          onSwitchSet(st.setId);
+          return;
+        }
+        setGenres(st.genres);
+        setBoard(st.board);
+        setGroups(st.groups);
+        setGameLog(st.gameLog);
+        setProblems(st.problems.map((p) => ({ ...p, ...resolveMedia(p) })));
+        setPlayIndex(st.playIndex);
+        setShowChoices(st.showChoices);
+        setRevealOpen(st.revealOpen);
+        setAnswerShown(st.answerShown);
+        setAudienceAnswer(st.answerText);
+        setImageStage(st.imageStage);
+        setIsPlayingAudio(st.isPlayingAudio);
+        setIntroStage(st.introStage);
+        setSettings(st.settings);
+        setBuzzOrder(st.buzzOrder);
+        setBuzzWrong(st.buzzWrong);
+        setTimer(st.timer);
+        setWager(st.wager);
+        setStealFlow(st.stealFlow);
+        setRemoteAnswers(st.remoteAnswers);
+        setRankingView(st.rankingView);
+        setResultsOpen(st.resultsOpen);
+        setResultsDetail(st.resultsDetail);
+        setFinalRound(st.finalRound);
+        setFinalProblem(st.finalProblem);
+        setAudienceFinalAnswer(st.finalAnswerText);
+      } else if (msg.type === "video" && videoRef.current) {
+        // 動画の再生・停止・シークを司会者画面に合わせる
+        const v = videoRef.current;
+        if (Math.abs(v.currentTime - msg.time) > 0.3) v.currentTime = msg.time;
+        if (msg.action === "play") v.play().catch(() => {});
+        if (msg.action === "pause") v.pause();
+      }
+    };
+    if (isAudience) channel.postMessage({ type: "hello" });
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [isAudience, setId, onSwitchSet]);
+
+  // 司会者画面: 状態が変わるたびに観客画面へ送る（正解・メモ・音源は送らない）
+  useEffect(() => {
+    if (isAudience) return;
+    const current = playIndex !== null ? problems[playIndex] : null;
+    const state = {
+      setId,
+      genres,
+      board,
+      groups,
+      gameLog,
+      problems: problems.map(({ answer, openAnswer, note, audio, bonus, ...rest }) => rest),
+      playIndex,
+      showChoices,
+      revealOpen,
+      answerShown,
+      answerText: current && answerShown ? answerTextOf(current) : null,
+      imageStage,
+      isPlayingAudio,
+      introStage,
+      settings: { ...settings, answerJoinCodes: {} }, // 参加コードは観客画面に出さない
+      buzzOrder,
+      buzzWrong,
+      timer,
+      wager,
+      stealFlow,
+      remoteAnswers: answerShown ? remoteAnswers : Object.fromEntries(Object.keys(remoteAnswers).map((gid) => [gid, null])),
+      rankingView,
+      resultsOpen,
+      resultsDetail,
+      // ファイナル: 賭け金は判定が済んだチームの分だけ、正解は判定に入ってから送る
+      finalRound: finalRound && {
+        ...finalRound,
+        wagers: Object.fromEntries(Object.entries(finalRound.wagers).filter(([gid]) => finalRound.results[gid])),
+      },
+      finalProblem: { category: finalProblem.category, question: finalProblem.question, choices: finalProblem.choices },
+      finalAnswerText: finalRound && ["judge", "done"].includes(finalRound.stage) ? finalProblem.choices[finalProblem.answer] : null,
+    };
+    syncStateRef.current = state;
+    if (channelRef.current) channelRef.current.postMessage({ type: "state", state });
+  }, [isAudience, genres, board, groups, gameLog, problems, playIndex, showChoices, revealOpen, answerShown, imageStage, isPlayingAudio, introStage, settings, buzzOrder, buzzWrong, timer, wager, stealFlow, remoteAnswers, rankingView, resultsOpen, resultsDetail, finalRound, finalProblem, setId]);
+
+  const sendVideoCommand = (action) => {
+    if (isAudience || !channelRef.current || !videoRef.current) return;
+    channelRef.current.postMessage({ type: "video", action, time: videoRef.current.currentTime });
+  };
+
+  // --- クイズライブラリ操作 ---
+  const openLibrary = () => {
+    setQuizSets(loadQuizSets());
+    setLibraryOpen(true);
+  };
+
+  const handleCreateQuizSet = () => {
+    const name = window.prompt("新しいクイズセットの名前を入力してください", "新しいクイズ");
+    if (!name || !name.trim()) return;
+    const set = createQuizSet(name.trim());
+    onSwitchSet(set.id);
+  };
+
+  const handleDuplicateQuizSet = async (set) => {
+    const name = window.prompt("複製したクイズセットの名前を入力してください", `${set.name} のコピー`);
+    if (!name || !name.trim()) return;
+    await duplicateQuizSet(set.id, name.trim());
+    setQuizSets(loadQuizSets());
+  };
+
+  const handleRenameQuizSet = (set) => {
+    const name = window.prompt("クイズセットの名前を入力してください", set.name);
+    if (!name || !name.trim()) return;
+    renameQuizSet(set.id, name.trim());
+    setQuizSets(loadQuizSets());
+  };
+
+  const handleDeleteQuizSet = async (set) => {
+    if (!window.confirm(`クイズセット「${set.name}」を削除しますか？\n問題・スコア・アップロードしたメディアも全て消えます。`)) return;
+    await deleteQuizSet(set.id);
+    setQuizSets(loadQuizSets());
+  };
+
+  const openAudienceWindow = () => {
+    window.open(`${window.location.pathname}?view=audience`, "quiz_audience", "popup,width=1280,height=720");
+  };
+
+  useEffect(() => {
+    return () => {
+      if (audioRef.current) try { audioRef.current.pause(); } catch (e) {}
+      Object.values(soundAudioRef.current).forEach((a) => { try { a.pause(); } catch (e) {} });
+      setIsPlayingAudio(false); // モーダルを閉じるときは再生状態をリセット
+    };
+  }, []);
+
+  const isIntroProblem = (i) => problems[i].type === "intro";
+
+  const updateProblem = (idx, key, value) => {
+    setProblems((prev) => {
+      const copy = [...prev];
+      copy[idx] = { ...copy[idx], [key]: value };
+      return copy;
+    });
+  };
+
+  const updateChoice = (probIdx, choiceIdx, value) => {
+    setProblems((prev) => {
+      const copy = [...prev];
+      const newChoices = [...copy[probIdx].choices];
+      newChoices[choiceIdx] = value;
+      copy[probIdx] = { ...copy[probIdx], choices: newChoices };
+      return copy;
+    });
+  };
+
+  // 解答形式の切り替え（○×は選択肢を ○ / × にする。記述に切り替えても選択肢は残し、戻したときに使う）
+  const changeAnswerFormat = (idx, format) => {
+    setProblems((prev) => prev.map((p, i) => {
+      if (i !== idx) return p;
+      if (format === "truefalse") return { ...p, answerFormat: format, choices: TRUE_FALSE_CHOICES, answer: Math.min(p.answer, 1) };
+      if (format === "choice" && p.answerFormat === "truefalse") return { ...p, answerFormat: format, choices: ["選択肢A", "選択肢B", "選択肢C", "選択肢D"], answer: 0 };
+      return { ...p, answerFormat: format };
+    }));
+  };
+
+  const changeChoiceCount = (idx, count) => {
+    setProblems((prev) => prev.map((p, i) => (i === idx ? resizeChoices(p, count) : p)));
+  };
+
+  const updateGenre = (idx, value) => {
+    setGenres((prev) => {
+      const c = [...prev];
+      c[idx] = value;
+      return c;
+    });
+  };
+
+  // 盤面サイズの変更（同じ位置の問題は引き継ぎ、はみ出した問題と音源は削除）
+  const resizeBoard = async (cols, rows) => {
+    const next = {
+      cols,
+      rows,
+      rowScores: Array.from({ length: rows }, (_, r) => board.rowScores[r] ?? defaultRowScore(r)),
+    };
+    const removed = problems.filter((_, i) => Math.floor(i / board.cols) >= rows || i % board.cols >= cols);
+    if (removed.length > 0 && !window.confirm(`盤面を ${cols}×${rows} に変更すると、はみ出した ${removed.length} 問（問題文・音源を含む）が削除されます。よろしいですか？`)) return;
+
+    for (const p of removed) {
+      for (const kind of PROBLEM_MEDIA_KINDS) {
+        if (p[kind]) await deleteMediaFromDB(quizMediaKey(setId, mediaKey(kind, p.id)));
+      }
+    }
+
+    setProblems((prev) => resizeProblems(prev, board, next));
+    setGenres((prev) => Array.from({ length: cols }, (_, c) => prev[c] ?? `ジャンル${c + 1}`));
+    setBoard(next);
+    setActiveProblem(null);
+  };
+
+  // --- CSV / TSV 一括読み込み ---
+  const analyzeBulkText = (text) => {
+    const rows = parseDelimitedText(text);
+    if (rows.length === 0) {
+      window.alert("読み込める行がありません。");
+      return;
+    }
+    setBulkImport({ rows, keepMedia: false, ...guessImportMapping(rows) });
+  };
+
+  const handleBulkFile = async (e) => {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    const text = await readFileAsText(f);
+    setBulkText(text);
+    analyzeBulkText(text);
+  };
+
+  // 同じ位置（行・列）にあった問題のIDと音源・画像・動画は引き継ぎ、盤面からはみ出した問題のメディアは削除する
+  const applyBulkImport = async (items, layout, keepMedia) => {
+    const usedCount = problems.filter((p) => panels[p.id]).length;
+    const message = [
+      `${layout.cols}ジャンル × ${layout.rows}問 の盤面を作り、現在の問題・ジャンル名を置き換えます。よろしいですか？`,
+      keepMedia ? "（同じ位置の問題の音源・画像・動画は引き継がれます。問題が入らない位置のものは削除されます）" : "（今の問題の音源・画像・動画は削除されます）",
+      usedCount > 0 ? `使用済みのパネルが ${usedCount} 枚あるため、スコアと使用状態もリセットします。（リセット前の結果はゲーム履歴に保存されます）` : "",
+    ].filter(Boolean).join("\n");
+    if (!window.confirm(message)) return;
+
+    const next = {
+      cols: layout.cols,
+      rows: layout.rows,
+      rowScores: Array.from({ length: layout.rows }, (_, r) => {
+        const first = layout.columns.map((col) => col[r]).find((item) => item && item.score !== null);
+        return first ? first.score : defaultRowScore(r);
+      }),
+    };
+    const kept = resizeProblems(problems, board, next);
+    const keptIds = new Set(kept.map((p) => p.id));
+    for (const p of problems.filter((x) => !keptIds.has(x.id))) {
+      for (const kind of PROBLEM_MEDIA_KINDS) {
+        if (!p[kind]) continue;
+        URL.revokeObjectURL(p[kind]);
+        await deleteMediaFromDB(quizMediaKey(setId, mediaKey(kind, p.id)));
+      }
+    }
+
+    // 読み込んだ問題は新しい問題として作り直す（前の問題の形式・ボーナス・メモ・制限時間などは引き継がない）
+    const imported = [];
+    for (const [i, p] of kept.entries()) {
+      const item = layout.columns[i % next.cols][Math.floor(i / next.cols)];
+      const score = next.rowScores[Math.floor(i / next.cols)];
+      const fresh = item ? {
+        ...createProblem(p.id, i, score),
+        question: item.question,
+        answerFormat: item.answerFormat,
+        choices: item.choices,
+        answer: item.answer,
+        openAnswer: item.openAnswer,
+        score: item.score ?? score,
+      } : createProblem(p.id, i, score); // 行数が足りない列は見本の問題で埋める（メディアは残さない）
+      if (item && keepMedia) {
+        // メディアと、その再生方法の設定だけを引き継ぐ
+        if (p.audio) Object.assign(fresh, { audio: p.audio, type: p.type, clipStart: p.clipStart, clipLength: p.clipLength, fadeOut: p.fadeOut });
+        if (p.image) Object.assign(fresh, { image: p.image, imageReveal: p.imageReveal });
+        if (p.video) fresh.video = p.video;
+      } else {
+        for (const kind of PROBLEM_MEDIA_KINDS) {
+          if (!p[kind]) continue;
+          URL.revokeObjectURL(p[kind]);
+          await deleteMediaFromDB(quizMediaKey(setId, mediaKey(kind, p.id)));
+        }
+      }
+      imported.push(fresh);
+    }
+
+    // 使用済みのパネルは問題IDで記録されているため、盤面を入れ替えたらゲームもやり直す
+    if (usedCount > 0) {
+      archiveCurrentGame("一括読み込み前");
+      pushGameEvent({ type: "reset" });
+    }
+    setProblems(imported);
+    setGenres(layout.genres);
+    setBoard(next);
+    setActiveProblem(null);
+    setBulkImport(null);
+    setBulkText("");
+  };
+
+  // 行ごとの得点の変更（その行の全問題に反映）
+  const updateRowScore = (row, value) => {
+    setBoard((prev) => {
+      const rowScores = [...prev.rowScores];
+      rowScores[row] = value;
+      return { ...prev, rowScores };
+    });
+    setProblems((prev) => prev.map((p, i) => (Math.floor(i / board.cols) === row ? { ...p, score: value } : p)));
+  };
+
+  // --- チーム管理 ---
+  const addGroup = () => {
+    if (groups.length >= MAX_GROUPS) return;
+    const color = GROUP_COLOR_PALETTE.find((c) => !groups.some((g) => g.color === c)) || "#777777";
+    const buzzKey = BUZZ_KEY_CANDIDATES.find((k) => !groups.some((g) => g.buzzKey === k)) || "";
+    const group = { id: `team_${Date.now().toString(36)}`, label: `チーム${groups.length + 1}`, color, buzzKey };
+    setGroups((prev) => [...prev, group]);
+  };
+
+  const updateGroup = (gid, key, value) => {
+    setGroups((prev) => prev.map((g) => {
+      if (g.id === gid) return { ...g, [key]: value };
+      // 早押しキーは重複させない（同じキーを使っていたチームは未設定に戻す）
+      if (key === "buzzKey" && value && g.buzzKey === value) return { ...g, buzzKey: "" };
+      return g;
+    }));
+  };
+
+  // --- メンバー（チームの名簿） ---
+  const updatePlayers = (gid, update) => {
+    setGroups((prev) => prev.map((g) => (g.id === gid ? { ...g, players: update(g.players || []) } : g)));
+  };
+
+  const addPlayer = (gid) => {
+    const group = groups.find((g) => g.id === gid);
+    updatePlayers(gid, (players) => [...players, { id: `pl_${Date.now().toString(36)}`, name: `${group.label}${players.length + 1}` }]);
+  };
+
+  const renamePlayer = (gid, pid, name) => {
+    updatePlayers(gid, (players) => players.map((pl) => (pl.id === pid ? { ...pl, name } : pl)));
+  };
+
+  // 削除したメンバーの得点はチームの得点として残る
+  const removePlayer = (gid, pid) => {
+    const player = (groups.find((g) => g.id === gid).players || []).find((pl) => pl.id === pid);
+    if ((playerStats[pid] || {}).correct && !window.confirm(`メンバー「${player.name}」を削除しますか？\n個人成績は表示されなくなります（チームの得点はそのまま残ります）。`)) return;
+    updatePlayers(gid, (players) => players.filter((pl) => pl.id !== pid));
+  };
+
+  // チームの削除（スコアも削除。獲得済みパネルの色はそのまま残す）
+  const removeGroup = (gid) => {
+    if (groups.length <= 1) return;
+    const group = groups.find((g) => g.id === gid);
+    const score = scores[gid] || 0;
+    if (!window.confirm(`チーム「${group.label}」を削除しますか？${score !== 0 ? `\n現在の得点（${score}点）も削除されます。` : ""}`)) return;
+
+    setGroups((prev) => prev.filter((g) => g.id !== gid));
+    // 出題中なら、解答・早押し・スティールの状態からも外す
+    setSelectedGroups((prev) => prev.filter((x) => x !== gid));
+    setWrongGroups((prev) => prev.filter((x) => x !== gid));
+    setBuzzOrder((prev) => prev.filter((x) => x !== gid));
+    setBuzzWrong((prev) => prev.filter((x) => x !== gid));
+    setAnswerPlayers((prev) => Object.fromEntries(Object.entries(prev).filter(([k]) => k !== gid)));
+    setRemoteAnswers((prev) => Object.fromEntries(Object.entries(prev).filter(([k]) => k !== gid)));
+    setWager((prev) => (prev && prev.groupId === gid ? { ...prev, groupId: null, amount: 0, locked: false } : prev));
+    if (stealFlow) {
+      const attempts = stealFlow.attempts.filter((a) => a.groupId !== gid);
+      if (stealFlow.current !== gid) {
+        setStealFlow({ ...stealFlow, attempts });
+      } else if (attempts.length === 0) {
+        // 最初に解答するチームだった → 選び直し
+        setStealFlow(null);
+      } else {
+        // 解答中のチームだった → 次のまだ答えていないチームに解答権を回す
+        const tried = attempts.map((a) => a.groupId);
+        const start = groups.findIndex((g) => g.id === gid);
+        const next = groups
+          .map((_, n) => groups[(start + 1 + n) % groups.length])
+          .find((g) => g.id !== gid && !tried.includes(g.id));
+        setStealFlow({ current: next ? next.id : null, attempts });
+      }
+    }
+  };
+
+  const handleIntroUpload = async (e, idx) => {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return;
+    await saveIntroAudio(idx, f);
+  };
+
+  // イントロ音源の保存（ファイル・マイク録音の共通処理）
+  const saveIntroAudio = async (idx, blob) => {
+    await saveMediaToDB(quizMediaKey(setId, mediaKey("audio", problems[idx].id)), blob);
+    
+    const url = URL.createObjectURL(blob);
+    updateProblem(idx, "audio", url);
+  };
+
+  // 画像・動画の添付（kind = "image" | "video"）
+  const handleProblemMediaUpload = async (e, idx, kind) => {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return;
+
+    await saveMediaToDB(quizMediaKey(setId, mediaKey(kind, problems[idx].id)), f);
+
+    const url = URL.createObjectURL(f);
+    updateProblem(idx, kind, url);
+  };
+
+  const removeProblemMedia = async (idx, kind) => {
+    await deleteMediaFromDB(quizMediaKey(setId, mediaKey(kind, problems[idx].id)));
+    updateProblem(idx, kind, null);
+  };
+
+  const handleSoundUpload = async (e, effect) => {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    await saveSound(effect, f);
+  };
+
+  // 効果音の保存（ファイル・マイク録音の共通処理）
+  const saveSound = async (effect, blob) => {
+    await saveMediaToDB(quizMediaKey(setId, effect.mediaKey), blob);
+
+    const url = URL.createObjectURL(blob);
+    setSoundUrls((prev) => ({ ...prev, [effect.id]: url }));
+    delete soundAudioRef.current[effect.id];
+  };
+
+  // アップロードした効果音を消して合成音に戻す
+  const removeSound = async (effect) => {
+    await deleteMediaFromDB(quizMediaKey(setId, effect.mediaKey));
+    setSoundUrls(({ [effect.id]: _removed, ...rest }) => rest);
+    delete soundAudioRef.current[effect.id];
+  };
+
+  // クイズパックの書き出し（ジャンル・問題・全メディアを1ファイルにまとめる）
+  const exportQuizPack = async () => {
+    const entries = await loadAllMediaEntries(setId);
+    const media = {};
+    for (const { key, blob } of entries) {
+      media[key] = await blobToDataURL(blob);
+    }
+
+    const pack = {
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      exportedAt: new Date().toISOString(),
+      board,
+      genres,
+      // 進行状況（使用済み・パネル色）と一時URLは含めない
+      problems: problems.map(({ audio, image, video, ...rest }) => rest),
+      final: finalProblem,
+      media,
+    };
+
+    downloadBlob(new Blob([JSON.stringify(pack)], { type: "application/json" }), `quiz-pack-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  // クイズパックの読み込み（検証 → 上書き確認 → 復元）
+  const importQuizPack = async (e) => {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+
+    let pack;
+    try {
+      pack = JSON.parse(await readFileAsText(f));
+    } catch (err) {
+      window.alert("ファイルを読み込めませんでした。書き出したクイズパック（.json）を選択してください。");
+      return;
+    }
+
+    const errors = validateQuizPack(pack);
+    if (errors.length > 0) {
+      window.alert(`クイズパックを読み込めません：\n${errors.slice(0, 10).join("\n")}${errors.length > 10 ? `\n…ほか ${errors.length - 10} 件` : ""}`);
+      return;
+    }
+
+    // 上書きされる既存データの確認
+    const defaults = createInitialProblems(board);
+    const editedCount = problems.filter((p, i) =>
+      p.question !== defaults[i].question ||
+      p.answer !== defaults[i].answer ||
+      p.choices.some((c, j) => c !== defaults[i].choices[j])
+    ).length;
+    const storedMedia = await loadAllMediaEntries(setId);
+    const conflicts = [];
+    if (genres.length !== DEFAULT_GENRES.length || genres.some((g, i) => g !== DEFAULT_GENRES[i])) conflicts.push("編集済みのジャンル名");
+    if (editedCount > 0) conflicts.push(`編集済みの問題 ${editedCount} 問`);
+    if (storedMedia.length > 0) conflicts.push(`保存済みの音源・画像・動画 ${storedMedia.length} 件`);
+    if (Object.keys(panels).length > 0 || Object.values(scores).some((s) => s !== 0)) conflicts.push("進行中のゲーム（スコアと使用済みパネル。結果はゲーム履歴に保存されます）");
+
+    if (conflicts.length > 0 && !window.confirm(`「${f.name}」を読み込むと、次のデータが上書きされます：\n・${conflicts.join("\n・")}\n\nよろしいですか？`)) return;
+
+    // 既存のメディアを消す前に、パックのメディアをすべて復元できるか確かめる
+    let blobs;
+    try {
+      blobs = Object.entries(getPackMedia(pack) || {}).map(([key, dataUrl]) => [key, dataURLToBlob(dataUrl)]);
+    } catch (err) {
+      window.alert("クイズパックの音源・画像・動画のデータが壊れているため読み込めません。\n（今のデータは変更していません）");
+      return;
+    }
+
+    archiveCurrentGame("クイズパック読み込み前");
+    try {
+      await clearMediaDB(setId);
+      for (const [key, blob] of blobs) {
+        await saveMediaToDB(quizMediaKey(setId, key), blob);
+      }
+    } catch (err) {
+      window.alert("音源・画像・動画の保存に失敗しました。ブラウザの保存容量を確認してください。");
+      return;
+    }
+
+    // 置き換えるメディアのURLを解放する
+    problems.forEach((p) => PROBLEM_MEDIA_KINDS.forEach((kind) => { if (p[kind]) URL.revokeObjectURL(p[kind]); }));
+    Object.values(soundUrls).forEach((url) => URL.revokeObjectURL(url));
+    const urls = Object.fromEntries(blobs.map(([key, blob]) => [key, URL.createObjectURL(blob)]));
+
+    const packBoard = getPackBoard(pack);
+    setBoard({ cols: packBoard.cols, rows: packBoard.rows, rowScores: packBoard.rowScores });
+    setGenres(pack.genres);
+    setProblems(pack.problems.map(({ used, groupId, groupColor, ...p }, i) => {
+      const id = Number.isInteger(p.id) ? p.id : i;
+      return {
+        imageReveal: "none",
+        ...p,
+        id,
+        type: p.type || legacyQuestionType(i, packBoard.cols),
+        audio: urls[mediaKey("audio", id)] || null,
+        image: urls[mediaKey("image", id)] || null,
+        video: urls[mediaKey("video", id)] || null,
+      };
+    }));
+    setFinalProblem(pack.final ? { ...DEFAULT_FINAL, ...pack.final } : DEFAULT_FINAL);
+    setGameLog(createGameLog());
+    setSoundUrls(Object.fromEntries(SOUND_EFFECTS.filter((effect) => urls[effect.mediaKey]).map((effect) => [effect.id, urls[effect.mediaKey]])));
+    soundAudioRef.current = {};
+    setActiveProblem(null);
+  };
+
+  const startProblem = (i) => {
+    // 既存の音声/タイマーをクリア
+    if (audioRef.current) {
+      try { audioRef.current.pause(); audioRef.current.currentTime = 0; } catch (e) {}
+      audioRef.current = null;
+    }
+    
+    setPlayIndex(i);
+    setShowChoices(false); 
+    setIsPlayingAudio(false); // 再生状態をリセット
+    setImageStage(0);
+    setAnswerShown(false);
+    setBuzzOrder([]);
+    setBuzzWrong([]);
+    setTimer(null);
+    setSelectedGroups([]);
+    setWrongGroups([]);
+    setAnswerPlayers({});
+    setRemoteAnswers({});
+    remotePreselectRef.current = null;
+    setAwardOverride(null);
+    setPenaltyOverride(null);
+    setWager(null);
+    setStealFlow(null);
+    setIntroStage(null);
+    setAudioResumeAt(null);
+
+    // ボーナスパネル: 演出を出し、賭け金が決まるまで出題しない
+    if (problems[i].bonus) {
+      playSound("bonus");
+      setWager({ groupId: null, amount: 0, locked: false });
+      return;
+    }
+    playSound("open");
+    beginQuestion(i);
+  };
+
+  // 出題（通常問題は選択肢を表示、イントロ問題は音源を再生）
+  const beginQuestion = (i) => {
+    const intro = isIntroProblem(i);
+
+    if (!intro) {
+      // 通常問題: 即座に選択肢を表示
+      setShowChoices(true);
+      startTimer(i);
+      return;
+    }
+
+    // イントロ問題: 音源を用意し、段階再生でなければ区間をループ再生して手動停止を待つ
+    const url = problems[i].audio;
+    if (url) {
+      const a = new Audio(url);
+      audioRef.current = a;
+      if (!settings.introStaged) {
+        playIntro(a, { ...introClip(problems[i]), loop: true });
+      }
+    } 
+  };
+
+  // --- イントロの再生 ---
+  const playIntro = (a, clip) => {
+    if (stopClipRef.current) stopClipRef.current();
+    setIsPlayingAudio(true);
+    stopClipRef.current = playAudioClip(a, {
+      ...clip,
+      onEnd: () => {
+        stopClipRef.current = null;
+        setIsPlayingAudio(false);
+      },
+    });
+  };
+
+  // 段階再生: 区間の先頭から INTRO_STAGES[n] の長さだけ再生する
+  const playIntroStage = (n) => {
+    if (!audioRef.current || playIndex === null) return;
+    const clip = introClip(problems[playIndex]);
+    const seconds = INTRO_STAGES[n].seconds;
+    const length = seconds == null ? clip.length : clip.length == null ? seconds : Math.min(seconds, clip.length);
+    // 短い段階でも音が消えきらないように、フェードは長さの半分まで
+    const fade = length == null ? clip.fade : Math.min(clip.fade, length / 2);
+    playIntro(audioRef.current, { start: clip.start, length, fade });
+    setIntroStage((prev) => (prev === null ? n : Math.max(prev, n)));
+  };
+
+  // 段階再生で長い段階まで聴いたほど得点を減らす
+  const introStageScore = (i) => {
+    const score = problems[i].score;
+    if (!settings.introStaged || !settings.introStageDecay || !isIntroProblem(i) || !introStage) return score;
+    return Math.max(0, Math.round(score * (1 - (settings.introStageDecay / 100) * introStage)));
+  };
+
+  // 設定画面での試聴
+  const previewIntroClip = (i) => {
+    if (previewAudioRef.current) {
+      previewAudioRef.current.pause();
+      previewAudioRef.current = null;
+      return;
+    }
+    if (!problems[i].audio) return;
+    const a = new Audio(problems[i].audio);
+    previewAudioRef.current = a;
+    playAudioClip(a, { ...introClip(problems[i]), onEnd: () => { previewAudioRef.current = null; } });
+  };
+  
+  // --- ボーナスパネルの賭け ---
+  // 賭けられるのは現在の持ち点まで（持ち点が0以下なら0）
+  const maxWager = (gid) => Math.max(0, scores[gid] || 0);
+
+  const lockWager = () => {
+    if (!wager || !wager.groupId) return;
+    const amount = Math.min(Math.max(0, Math.floor(wager.amount || 0)), maxWager(wager.groupId));
+    setWager({ ...wager, amount, locked: true });
+    // 正解なら賭け金を加算、不正解なら賭け金を減点
+    setAwardOverride(amount);
+    setPenaltyOverride(amount);
+    beginQuestion(playIndex);
+  };
+
+  // --- 制限時間タイマー（選択肢の表示と同時にスタート。イントロ再生中は動かさない） ---
+  const startTimer = (i) => {
+    const limit = problems[i].timeLimit ?? settings.timerSeconds;
+    warnedSecondRef.current = null;
+    if (!limit) {
+      setTimer(null);
+      return;
+    }
+    setTimer({ total: limit, running: true, endsAt: Date.now() + limit * 1000, remaining: limit * 1000 });
+  };
+
+  const pauseTimer = () => {
+    setTimer((prev) => (prev && prev.running ? { ...prev, running: false, remaining: Math.max(0, prev.endsAt - Date.now()) } : prev));
+  };
+
+  const resumeTimer = () => {
+    setTimer((prev) => (prev && !prev.running && prev.remaining > 0 ? { ...prev, running: true, endsAt: Date.now() + prev.remaining } : prev));
+  };
+
+  useEffect(() => {
+    if (!timer || !timer.running) return;
+    const id = setInterval(() => {
+      const t = Date.now();
+      setTimerNow(t);
+      if (isAudience) return;
+
+      const rest = timer.endsAt - t;
+      if (rest > 0) {
+        // 残り数秒は1秒ごとに警告音
+        const sec = Math.ceil(rest / 1000);
+        if (sec <= settings.timerWarningSeconds && sec !== warnedSecondRef.current) {
+          warnedSecondRef.current = sec;
+          playSound("tick");
+        }
+        return;
+      }
+
+      // 時間切れ
+      clearInterval(id);
+      setTimer((prev) => (prev ? { ...prev, running: false, remaining: 0 } : prev));
+      playSound("timeUp");
+      if (settings.timerAutoReveal) {
+        if (audioRef.current) try { audioRef.current.pause(); } catch (e) {}
+        setIsPlayingAudio(false);
+        setRevealOpen(true);
+      }
+    }, 100);
+    return () => clearInterval(id);
+  }, [timer, isAudience, settings.timerWarningSeconds, settings.timerAutoReveal, playSound]);
+
+  // イントロの再生を止めて選択肢を表示する
+  const stopIntroAndShowChoices = () => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current.loop = false;
+    }
+    setIsPlayingAudio(false); // 再生状態を停止に
+    setShowChoices(true);
+    startTimer(playIndex);
+  };
+
+  const openReveal = () => {
+    playSound("correct");
+    pauseTimer();
+    setRevealOpen(true);
+    if (audioRef.current) try { audioRef.current.pause(); setIsPlayingAudio(false); } catch (e) {}
+  };
+
+  const closeProblem = () => {
+    setAudioResumeAt(null);
+    setPlayIndex(null);
+    setIsPlayingAudio(false);
+    setTimer(null);
+    setWager(null);
+    setStealFlow(null);
+    setRemoteAnswers({});
+  };
+
+  // NEW: 「もう一度再生」ボタンのトグルロジック
+  const toggleReplay = () => {
+    if (!audioRef.current) return;
+    
+    if (isPlayingAudio) {
+      // 再生中 -> 停止
+      try { audioRef.current.pause(); } catch (e) {}
+      setIsPlayingAudio(false);
+    } else {
+      // 停止中 -> 区間の先頭から1回だけ再生（ループはしない）
+      try { 
+        playIntro(audioRef.current, introClip(problems[playIndex]));
+      } catch (e) {
+        setIsPlayingAudio(false);
+      }
+    }
+  };
+
+  // --- 早押し ---
+  useEffect(() => {
+    // ボーナスパネルは賭けたチームだけが解答するので早押しは受け付けない
+    if (isAudience || !settings.buzzerEnabled || playIndex === null || revealOpen || settingsOpen || wager) return;
+    const onKeyDown = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      const key = normalizeBuzzKey(e.key);
+      const group = groups.find((g) => g.buzzKey && g.buzzKey === key);
+      if (!group || buzzOrder.includes(group.id) || buzzWrong.includes(group.id)) return;
+      e.preventDefault();
+
+      // 解答権のあるチームがいなければ、このチームが解答権を得る（他チームはロック）
+      if (!activeBuzzer) {
+        playSound("buzz");
+        if (audioRef.current) try { audioRef.current.pause(); setIsPlayingAudio(false); } catch (err) {}
+      }
+      setBuzzOrder((prev) => (prev.includes(group.id) ? prev : [...prev, group.id]));
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isAudience, settings.buzzerEnabled, playIndex, revealOpen, settingsOpen, wager, groups, buzzOrder, buzzWrong, activeBuzzer, playSound]);
+
+  // 解答権のあるチームが正解 → 正解発表（そのチームを選択済み）へ進み、通常どおり得点を確定する
+  const judgeBuzzCorrect = () => {
+    if (!activeBuzzer) return;
+    if (audioRef.current) try { audioRef.current.pause(); setIsPlayingAudio(false); } catch (e) {}
+    playSound("correct");
+    pauseTimer();
+    setSelectedGroups([activeBuzzer]);
+    setWrongGroups(buzzWrong);
+    setRevealOpen(true);
+  };
+
+  // 不正解 → 次に押したチームへ解答権を移す（誰もいなければ残りのチームの早押しを受け付ける）
+  const judgeBuzzWrong = () => {
+    if (!activeBuzzer) return;
+    playSound("wrong");
+    setBuzzWrong((prev) => [...prev, activeBuzzer]);
+  };
+
+  const resetBuzz = () => {
+    setBuzzOrder([]);
+    setBuzzWrong([]);
+  };
+
+  // --- スティール（1チームずつ解答し、不正解なら残りのチームに順番に解答権を回す） ---
+  const stealEnabled = settings.answerFlow === "steal" && !settings.buzzerEnabled && !wager;
+  const stealValue = (i) => Math.round((introStageScore(i) * settings.stealPercent) / 100);
+
+  const startStealFlow = (gid) => {
+    setStealFlow({ current: gid, attempts: [] });
+  };
+
+  // 最初に答えたチームの次から、まだ答えていないチームを順番に
+  const nextStealTeam = (attempts) => {
+    const start = groups.findIndex((g) => g.id === attempts[0].groupId);
+    const tried = attempts.map((a) => a.groupId);
+    return groups
+      .map((_, n) => groups[(start + 1 + n) % groups.length])
+      .find((g) => !tried.includes(g.id));
+  };
+
+  const judgeStealCorrect = () => {
+    const { current, attempts } = stealFlow;
+    if (audioRef.current) try { audioRef.current.pause(); setIsPlayingAudio(false); } catch (e) {}
+    playSound("correct");
+    pauseTimer();
+    setSelectedGroups([current]);
+    setWrongGroups(attempts.filter((a) => a.result === "wrong").map((a) => a.groupId));
+    // 最初のチームはパネルの得点、スティールしたチームは設定の割合
+    if (attempts.length > 0) setAwardOverride(stealValue(playIndex));
+    setRevealOpen(true);
+  };
+
+  // result = "wrong"（不正解・減点あり）| "pass"（スティールを見送る）
+  const judgeStealMiss = (result) => {
+    const attempts = [...stealFlow.attempts, { groupId: stealFlow.current, result }];
+    const next = nextStealTeam(attempts);
+    if (result === "wrong") playSound("wrong");
+    if (next) {
+      setStealFlow({ current: next.id, attempts });
+      return;
+    }
+    // 全チームが答え終わった → 正解なしで正解発表へ
+    setStealFlow({ current: null, attempts });
+    pauseTimer();
+    setSelectedGroups([]);
+    setWrongGroups(attempts.filter((a) => a.result === "wrong").map((a) => a.groupId));
+    setRevealOpen(true);
+  };
+
+  // --- スマホ解答（ローカルサーバー server/answer-server.js 経由） ---
+  // 受け付けるのは全チーム同時に解答する選択式・○×の問題だけ（早押し・スティールは司会者画面で判定する）
+  const answerSocketRef = useRef(null);
+  const remoteQuestionRef = useRef(null);
+  const remotePreselectRef = useRef(restored("revealOpen", false) ? restored("playIndex", null) : null);
+  const remoteAnswerEnabled = settings.answerServerEnabled && settings.answerFlow === "all" && !settings.buzzerEnabled;
+
+  useEffect(() => {
+    if (isAudience || !settings.answerServerEnabled || !settings.answerServerUrl) {
+      setAnswerServerStatus("off");
+      return;
+    }
+    let ws = null;
+    let retry = null;
+    let closed = false;
+    const connect = () => {
+      setAnswerServerStatus("connecting");
+      try {
+        ws = new WebSocket(settings.answerServerUrl);
+      } catch (e) {
+        setAnswerServerStatus("error");
+        return;
+      }
+      ws.onopen = () => {
+        answerSocketRef.current = ws;
+        ws.send(JSON.stringify({ type: "host" }));
+        setAnswerServerStatus("connected");
+      };
+      ws.onmessage = (event) => {
+        let msg;
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
+        // 司会者として認められなかった（別のPCから接続した）場合は再接続しない
+        if (msg.type === "error") {
+          closed = true;
+          setAnswerServerStatus("denied");
+          ws.close();
+          return;
+        }
+        const q = remoteQuestionRef.current;
+        if (msg.type !== "answer" || !q || msg.problemId !== q.problemId || !q.groupIds.includes(msg.groupId)) return;
+        if (!Number.isInteger(msg.choice) || msg.choice < 0 || msg.choice >= q.choices.length) return;
+        // 最初に届いた解答で確定（送り直しは受け付けない）
+        setRemoteAnswers((prev) => (msg.groupId in prev ? prev : { ...prev, [msg.groupId]: msg.choice }));
+      };
+      ws.onclose = () => {
+        answerSocketRef.current = null;
+        if (closed) return;
+        setAnswerServerStatus("error");
+        retry = setTimeout(connect, 3000);
+      };
+    };
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retry);
+      answerSocketRef.current = null;
+      if (ws) ws.close();
+    };
+  }, [isAudience, settings.answerServerEnabled, settings.answerServerUrl]);
+
+  // チームごとの参加コード（まだないチームの分だけ作る）
+  useEffect(() => {
+    if (isAudience || !settings.answerServerEnabled) return;
+    const missing = groups.filter((g) => !settings.answerJoinCodes[g.id]);
+    if (missing.length === 0) return;
+    setSettings((prev) => ({
+      ...prev,
+      answerJoinCodes: { ...prev.answerJoinCodes, ...Object.fromEntries(missing.map((g) => [g.id, createJoinCode()])) },
+    }));
+  }, [isAudience, settings.answerServerEnabled, settings.answerJoinCodes, groups]);
+
+  // 作り直すと、参加中のスマホはコードを入力し直す
+  const regenerateJoinCodes = () => {
+    setSettings((prev) => ({ ...prev, answerJoinCodes: Object.fromEntries(groups.map((g) => [g.id, createJoinCode()])) }));
+  };
+
+  // 出題中の問題（正解は送らない）と解答済みのチームをサーバー経由でスマホへ送る
+  useEffect(() => {
+    if (isAudience) return;
+    const p = playIndex !== null ? problems[playIndex] : null;
+    const timeUp = timer && !timer.running && timer.remaining === 0;
+    const accepting = p && remoteAnswerEnabled && showChoices && !revealOpen && !timeUp && p.answerFormat !== "open" && (!wager || wager.locked);
+    const question = accepting
+      ? {
+        problemId: p.id,
+        number: playIndex + 1,
+        choices: p.choices.map((text, idx) => ({ label: p.answerFormat === "truefalse" ? "" : choiceLabel(idx), text })),
+        groupIds: wager ? [wager.groupId] : groups.map((g) => g.id),
+      }
+      : null;
+    remoteQuestionRef.current = question;
+    if (answerServerStatus !== "connected" || !answerSocketRef.current) return;
+    // 参加コードはサーバーだけが使う（スマホには送られない）
+    const teams = groups.map(({ id, label, color }) => ({ id, label, color, code: settings.answerJoinCodes[id] || "" }));
+    answerSocketRef.current.send(JSON.stringify({ type: "state", state: { question, teams, locked: Object.keys(remoteAnswers) } }));
+  }, [isAudience, playIndex, problems, remoteAnswerEnabled, showChoices, revealOpen, timer, wager, groups, settings.answerJoinCodes, remoteAnswers, answerServerStatus]);
+
+  // 正解発表を開いたら、スマホの解答から正解・不正解のチームを選んでおく（司会者が手で直せる）
+  useEffect(() => {
+    if (isAudience || !revealOpen || playIndex === null || remotePreselectRef.current === playIndex) return;
+    remotePreselectRef.current = playIndex;
+    const answered = Object.entries(remoteAnswers);
+    if (answered.length === 0 || selectedGroups.length > 0 || wrongGroups.length > 0) return;
+    const { answer } = problems[playIndex];
+    setSelectedGroups(answered.filter(([, choice]) => choice === answer).map(([gid]) => gid));
+    setWrongGroups(answered.filter(([, choice]) => choice !== answer).map(([gid]) => gid));
+  }, [isAudience, revealOpen, playIndex, remoteAnswers, selectedGroups, wrongGroups, problems]);
+
+  // チームの判定を 未回答 → 正解 → 不正解 → 未回答 の順に切り替える
+  const toggleGroupSelect = (gid) => {
+    if (selectedGroups.includes(gid)) {
+      setSelectedGroups((prev) => prev.filter((x) => x !== gid));
+      setWrongGroups((prev) => [...prev, gid]);
+    } else if (wrongGroups.includes(gid)) {
+      setWrongGroups((prev) => prev.filter((x) => x !== gid));
+    } else {
+      setSelectedGroups((prev) => [...prev, gid]);
+    }
+  };
+
+  const awardValue = playIndex !== null ? awardOverride ?? introStageScore(playIndex) : 0;
+  const penaltyValue = playIndex !== null ? penaltyOverride ?? penaltyPoints(settings, problems[playIndex].score) : 0;
+
+  const confirmMultipleCorrect = () => {
+    if (playIndex === null) return;
+
+    pushGameEvent({
+      type: "award",
+      problemId: problems[playIndex].id,
+      correct: selectedGroups,
+      wrong: wrongGroups,
+      award: awardValue,
+      penalty: penaltyValue,
+      bonus: Boolean(wager),
+      steal: Boolean(stealFlow && stealFlow.attempts.length > 0 && selectedGroups.length > 0),
+      players: Object.fromEntries(Object.entries(answerPlayers).filter(([gid, pid]) => pid && (selectedGroups.includes(gid) || wrongGroups.includes(gid)))),
+      color: selectedGroups.length === 1 ? groups.find((x) => x.id === selectedGroups[0]).color : "#444",
+    });
+    
+    setRevealOpen(false);
+    setSelectedGroups([]);
+    setWrongGroups([]);
+    setAnswerPlayers({});
+
+    if (audioRef.current) try { audioRef.current.pause(); } catch (e) {}
+    setIsPlayingAudio(false); 
+
+    setPlayIndex(null);
+    setShowChoices(false);
+    setTimer(null);
+    setWager(null);
+    setStealFlow(null);
+    setRemoteAnswers({});
+    setAudioResumeAt(null);
+  };
+
+  // --- ファイナル ---
+  const startFinal = () => {
+    const remaining = problems.filter((p) => !panels[p.id]).length;
+    if (remaining > 0 && !window.confirm(`まだ開いていないパネルが ${remaining} 枚あります。ファイナルに進みますか？`)) return;
+    playSound("bonus");
+    setFinalRound({ stage: "category", wagers: {}, sealed: [], order: [], revealIndex: 0, results: {} });
+  };
+
+  const setFinalWager = (gid, value) => {
+    setFinalRound((prev) => ({ ...prev, wagers: { ...prev.wagers, [gid]: value } }));
+  };
+
+  // 賭け金を確定する（持ち点までに丸める）
+  const sealFinalWager = (gid) => {
+    const amount = Math.min(Math.max(0, Math.floor(Number(finalRound.wagers[gid]) || 0)), maxWager(gid));
+    setFinalRound((prev) => ({ ...prev, wagers: { ...prev.wagers, [gid]: amount }, sealed: [...prev.sealed, gid] }));
+  };
+
+  const startFinalQuestion = () => {
+    setFinalRound((prev) => ({ ...prev, stage: "question" }));
+    warnedSecondRef.current = null;
+    const limit = finalProblem.timeLimit;
+    setTimer(limit ? { total: limit, running: true, endsAt: Date.now() + limit * 1000, remaining: limit * 1000 } : null);
+  };
+
+  // 判定は持ち点の少ないチームから1チームずつ
+  const startFinalJudge = () => {
+    pauseTimer();
+    setRevealOpen(false);
+    playSound("correct");
+    const order = [...groups].sort((a, b) => (scores[a.id] || 0) - (scores[b.id] || 0)).map((g) => g.id);
+    setFinalRound((prev) => ({ ...prev, stage: "judge", order, revealIndex: 0 }));
+  };
+
+  const judgeFinal = (gid, correct) => {
+    const amount = finalRound.wagers[gid] || 0;
+    if (correct) playSound("correct");
+    else playSound("wrong");
+    if (amount) pushGameEvent({ type: "adjust", groupId: gid, delta: correct ? amount : -amount, reason: "ファイナル" });
+    setFinalRound((prev) => ({ ...prev, results: { ...prev.results, [gid]: correct ? "correct" : "wrong" } }));
+  };
+
+  const nextFinalTeam = () => {
+    if (finalRound.revealIndex + 1 >= finalRound.order.length) playSound("final");
+    setFinalRound((prev) => {
+      const revealIndex = prev.revealIndex + 1;
+      return { ...prev, revealIndex, stage: revealIndex >= prev.order.length ? "done" : "judge" };
+    });
+  };
+
+  const closeFinal = () => {
+    if (finalRound.stage !== "done" && !window.confirm("ファイナルを中断しますか？（判定済みの得点はそのまま残ります）")) return;
+    setFinalRound(null);
+    setTimer(null);
+    setRevealOpen(false);
+  };
+
+  // --- ゲームログ（元に戻す / やり直す） ---
+
+  // イベントを記録する（元に戻した後に記録すると、やり直し用のイベントは破棄される）
+  const pushGameEvent = (event) => {
+    setGameLog((prev) => {
+      const kept = prev.events.slice(0, prev.cursor);
+      const id = kept.length > 0 ? kept[kept.length - 1].id + 1 : 1;
+      return { ...prev, events: [...kept, { ...event, id, at: new Date().toISOString() }], cursor: prev.cursor + 1 };
+    });
+  };
+
+  const undoGameEvent = () => {
+    setGameLog((prev) => (prev.cursor > 0 ? { ...prev, cursor: prev.cursor - 1 } : prev));
+  };
+
+  const redoGameEvent = () => {
+    setGameLog((prev) => (prev.cursor < prev.events.length ? { ...prev, cursor: prev.cursor + 1 } : prev));
+  };
+
+  // 使用済みパネルを再開（その問題で付与した得点も取り消す）
+  const reopenPanel = (i) => {
+    if (!window.confirm(`問題 ${i + 1} を未使用に戻しますか？\nこの問題で付与・減点した得点も取り消されます。`)) return;
+    pushGameEvent({ type: "reopen", problemId: problems[i].id });
+  };
+
+  // 手動の得点調整（理由つきでログに残す）
+  const adjustScore = (gid, delta) => {
+    if (!delta) return;
+    pushGameEvent({ type: "adjust", groupId: gid, delta, reason: adjustReason.trim() });
+    setAdjustReason("");
+  };
+
+  // スコアと使用済みフラグのみをリセットする関数（リセットもログに残るので「元に戻す」で取り消せる）
+  const resetScoresAndUsage = () => {
+    if (!window.confirm("現在のスコアと問題の使用状態（使用済みパネルの色）をリセットし、最初からゲームをやり直しますか？\n問題の編集内容や音源は保持されます。（リセット前の結果はゲーム履歴に保存されます）")) return;
+    
+    archiveCurrentGame("スコアリセット前");
+    pushGameEvent({ type: "reset" });
+  };
+
+  // FULL RESET: 全てを初期化する関数
+  const resetGame = async () => {
+    const setName = (quizSets.find((s) => s.id === setId) || {}).name || "";
+    if (!window.confirm(`【警告】\n表示中のクイズセット「${setName}」のデータを完全に初期化します。スコア、問題文、ジャンル名、**アップロードした音源**も全て消えますがよろしいですか？\n（ライブラリの他のクイズセットは消えません）`)) return;
+    // 削除前の状態はスナップショットに、進行中のゲームの結果はゲーム履歴に残す
+    takeSnapshot("全データ削除の前");
+    archiveCurrentGame("全データ削除前");
+    
+    localStorage.removeItem(storageKey("genres"));
+    localStorage.removeItem(storageKey("board"));
+    localStorage.removeItem(storageKey("groups"));
+    localStorage.removeItem(storageKey("settings"));
+    localStorage.removeItem(storageKey("scores"));
+    localStorage.removeItem(storageKey("game_log"));
+    localStorage.removeItem(storageKey("problems"));
+    localStorage.removeItem(storageKey("final"));
+    localStorage.removeItem(storageKey("live"));
+    
+    await clearMediaDB(setId);
+
+    setGroups(GROUPS);
+    setSettings(DEFAULT_SETTINGS);
+    setGameLog(createGameLog());
+    setGenres(DEFAULT_GENRES);
+    setBoard(DEFAULT_BOARD);
+    setProblems(createInitialProblems());
+    setFinalProblem(DEFAULT_FINAL);
+    setFinalRound(null);
+    closeProblem();
+    setActiveProblem(null);
+    setSoundUrls({});
+    soundAudioRef.current = {};
+  };
+
+  const ranking = rankStandings(groups, scores);
+  const playerRanking = rankPlayers(groups, playerStats);
+  const mvp = pickMVP(playerRanking);
+
+  // --- ゲーム履歴 ---
+  const currentSetName = (quizSets.find((x) => x.id === setId) || {}).name || "";
+  const archiveCurrentGame = (reason) => {
+    archiveGameSession({ setId, setName: currentSetName, reason, gameId: gameLog.gameId, events: gameLog.events.slice(0, gameLog.cursor), groups, scores, playerStats, panels, problems, genres, board });
+  };
+
+  // 全パネルが埋まったらゲーム終了として履歴に保存する（その後の変更も同じ記録に上書き）
+  const boardComplete = problems.length > 0 && problems.every((p) => panels[p.id]);
+  useEffect(() => {
+    if (isAudience || !boardComplete) return;
+    archiveGameSession({ setId, setName: currentSetName, reason: "全パネル終了", gameId: gameLog.gameId, events: gameLog.events.slice(0, gameLog.cursor), groups, scores, playerStats, panels, problems, genres, board });
+  }, [isAudience, boardComplete, setId, currentSetName, gameLog, groups, scores, playerStats, panels, problems, genres, board]);
+
+  const openHistory = () => {
+    setGameHistory(loadGameHistory());
+    setHistoryDetail(null);
+    setHistoryOpen(true);
+  };
+
+  const deleteHistoryEntry = (entry) => {
+    if (!window.confirm(`${new Date(entry.savedAt).toLocaleString()} のゲーム記録を削除しますか？`)) return;
+    const next = loadGameHistory().filter((h) => h.key !== entry.key);
+    saveGameHistory(next);
+    setGameHistory(next);
+  };
+
+  // --- 結果発表 ---
+  // チームごとの内訳（ジャンル別・問題別・問題以外の得点）
+  const buildResults = () => {
+    const genreOf = (i) => genres[i % board.cols];
+    return ranking.map((r) => ({
+      ...r,
+      byGenre: genres.map((genre, col) => ({
+        genre,
+        points: problems.reduce((sum, p, i) => (i % board.cols === col ? sum + ((byProblem[r.id] || {})[p.id] || 0) : sum), 0),
+      })),
+      byProblem: problems.map((p, i) => ({ number: i + 1, genre: genreOf(i), question: p.question, points: (byProblem[r.id] || {})[p.id] || 0 })),
+      other: other[r.id] || 0,
+    }));
+  };
+
+  const openResults = () => {
+    archiveCurrentGame("結果発表");
+    if (finalRound) setFinalRound(null);
+    setTimer(null);
+    setResultsOpen(true);
+    playSound("final");
+  };
+
+  const resultsFileName = (ext) => `quiz-results-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  const exportResultsCSV = () => {
+    const results = buildResults();
+    const rows = [
+      ["順位", "チーム", "合計", ...genres.map((g) => `ジャンル:${g}`), ...problems.map((_, i) => `問題${i + 1}`), "その他（調整・ファイナル等）"],
+      ...results.map((r) => [r.rank, r.label, r.score, ...r.byGenre.map((x) => x.points), ...r.byProblem.map((x) => x.points), r.other]),
+    ];
+    if (playerRanking.length > 0) {
+      rows.push([], ["個人順位", "名前", "チーム", "得点", "正解", "不正解", "MVP"]);
+      playerRanking.forEach((r) => rows.push([r.rank, r.name, r.team, r.points, r.correct, r.wrong, mvp.includes(r) ? "MVP" : ""]));
+    }
+    downloadBlob(new Blob([toCSV(rows)], { type: "text/csv" }), resultsFileName("csv"));
+  };
+
+  const exportResultsJSON = () => {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      quizSet: (quizSets.find((x) => x.id === setId) || {}).name || "",
+      standings: buildResults().map(({ id, color, ...rest }) => rest),
+      players: playerRanking.map(({ id, color, ...rest }) => ({ ...rest, mvp: mvp.some((m) => m.id === id) })),
+      log: gameLog.events.slice(0, gameLog.cursor).map((e) => ({ at: e.at, text: describeGameEvent(e, groups, problems) })),
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), resultsFileName("json"));
+  };
+
+  // --- 出題中の状態の保存と復元 ---
+  useEffect(() => {
+    if (isAudience) return;
+    const a = audioRef.current;
+    const live = {
+      problemId: playIndex !== null ? problems[playIndex].id : null,
+      playIndex,
+      showChoices,
+      introStage,
+      imageStage,
+      revealOpen,
+      answerShown,
+      selectedGroups,
+      wrongGroups,
+      answerPlayers,
+      awardOverride,
+      penaltyOverride,
+      wager,
+      stealFlow,
+      buzzOrder,
+      buzzWrong,
+      remoteAnswers,
+      timer,
+      finalRound,
+      audioTime: a && !a.paused ? a.currentTime : null,
+      savedAt: Date.now(),
+    };
+    localStorage.setItem(quizStorageKey(setId, "live"), JSON.stringify(live));
+  }, [isAudience, setId, problems, playIndex, showChoices, introStage, imageStage, revealOpen, answerShown, selectedGroups, wrongGroups, answerPlayers, awardOverride, penaltyOverride, wager, stealFlow, buzzOrder, buzzWrong, remoteAnswers, timer, finalRound]);
+
+  // 出題中は1秒ごとにイントロの再生位置と記録時刻を更新する（異常終了しても続きから再生・タイマーの残りを戻せるように）
+  useEffect(() => {
+    if (isAudience || playIndex === null) return;
+    const id = setInterval(() => {
+      const key = quizStorageKey(setId, "live");
+      const live = JSON.parse(localStorage.getItem(key) || "null");
+      if (!live) return;
+      const a = audioRef.current;
+      localStorage.setItem(key, JSON.stringify({ ...live, audioTime: a && !a.paused ? a.currentTime : null, savedAt: Date.now() }));
+    }, 1000);
+    return () => clearInterval(id);
+  }, [isAudience, setId, playIndex]);
+
+  // 復元したイントロ問題の音源は、IndexedDBから読み込めた時点で用意する（自動再生はせず「続きから再生」を出す）
+  const [audioResumeAt, setAudioResumeAt] = useState(null);
+  const pendingAudioRestoreRef = useRef(
+    restoredLive && restoredLive.playIndex !== null ? { problemId: restoredLive.problemId, time: restoredLive.audioTime ?? null } : null
+  );
+
+  useEffect(() => {
+    const pending = pendingAudioRestoreRef.current;
+    if (isAudience || !pending || playIndex === null) return;
+    const p = problems[playIndex];
+    if (p.id !== pending.problemId) {
+      pendingAudioRestoreRef.current = null;
+      return;
+    }
+    if (!p.audio) return;
+    pendingAudioRestoreRef.current = null;
+    if (!audioRef.current) audioRef.current = new Audio(p.audio);
+    if (pending.time !== null) setAudioResumeAt(pending.time);
+  }, [isAudience, playIndex, problems]);
+
+  // 再読み込み前に再生していた位置から、区間の最後まで再生する
+  const resumeIntroAudio = () => {
+    const clip = introClip(problems[playIndex]);
+    const end = clip.length == null ? null : clip.start + clip.length;
+    playIntro(audioRef.current, { ...clip, start: audioResumeAt, length: end == null ? null : Math.max(0, end - audioResumeAt) });
+    setAudioResumeAt(null);
+  };
+
+  // --- スナップショット（ゲーム全体の定期バックアップ） ---
+  const [snapshots, setSnapshots] = useState(() => (isAudience ? [] : loadSnapshots(setId)));
+
+  // 前回から何も変わっていなければ保存しない
+  const takeSnapshot = (reason) => {
+    const data = {
+      genres,
+      board,
+      groups,
+      settings,
+      gameLog,
+      problems: problems.map((p) => ({ ...p, audio: null, image: null, video: null })),
+      finalProblem,
+    };
+    const list = loadSnapshots(setId);
+    if (list.length > 0 && JSON.stringify(list[0].data) === JSON.stringify(data)) return;
+    saveSnapshots(setId, [{ id: Date.now(), at: new Date().toISOString(), reason, data }, ...list]);
+    setSnapshots(loadSnapshots(setId));
+  };
+
+  // タイマーからは最新の state で保存したいので ref 経由で呼ぶ
+  const takeSnapshotRef = useRef(null);
+  takeSnapshotRef.current = takeSnapshot;
+
+  useEffect(() => {
+    if (isAudience || !settings.snapshotMinutes) return;
+    const id = setInterval(() => takeSnapshotRef.current("自動"), settings.snapshotMinutes * 60 * 1000);
+    return () => clearInterval(id);
+  }, [isAudience, settings.snapshotMinutes]);
+
+  // スナップショットの時点に戻す（戻す前の状態もスナップショットに残すので、戻したことも取り消せる）
+  const rollbackToSnapshot = (snapshot) => {
+    if (!window.confirm(`${new Date(snapshot.at).toLocaleString()} の状態に戻しますか？\n得点・パネル・問題・チーム・設定がその時点に戻ります。\n（今の状態もスナップショットに残ります）`)) return;
+    takeSnapshot("戻す前の状態");
+    const d = snapshot.data;
+    closeProblem();
+    setRevealOpen(false);
+    setFinalRound(null);
+    setGenres(d.genres);
+    setBoard(d.board);
+    setGroups(d.groups);
+    setSettings({ ...DEFAULT_SETTINGS, ...d.settings });
+    setGameLog(withGameId(d.gameLog));
+    setFinalProblem(d.finalProblem);
+    // メディアはスナップショットに含まれないので、読み込み済みのものを問題IDで引き継ぐ
+    setProblems((prev) => d.problems.map((p) => {
+      const current = prev.find((x) => x.id === p.id);
+      return current ? { ...p, audio: current.audio, image: current.image, video: current.video } : p;
+    }));
+  };
+
+  // 一覧に出す概要（使用済みパネル数と得点）
+  const describeSnapshot = (snapshot) => {
+    const d = snapshot.data;
+    const replayed = replayGameLog(d.gameLog.events.slice(0, d.gameLog.cursor), d.groups);
+    const standings = rankStandings(d.groups, replayed.scores).map((t) => `${t.label} ${t.score}`).join(" / ");
+    return `使用済み ${Object.keys(replayed.panels).length}/${d.problems.length}　${standings}`;
+  };
+
+  // --- キーボード・リモコン操作 ---
+  // 押されたキーは最新の state で処理したいので、ハンドラは毎回作り直して ref 経由で呼ぶ
+  const shortcutHandlerRef = useRef(null);
+  // ファイナルの賭け金の入力欄（数字キーで移動する）
+  const finalWagerInputsRef = useRef({});
+
+  const runShortcut = (actionId) => {
+    if (actionId === "help") {
+      setShortcutHelpOpen((v) => !v);
+      return;
+    }
+    if (shortcutHelpOpen || resultsOpen) {
+      if (actionId === "back") {
+        setShortcutHelpOpen(false);
+        setResultsOpen(false);
+      }
+      return;
+    }
+
+    // ファイナル: 「次へ」で段階を進め、○ / × で判定中のチームを判定する
+    if (finalRound) {
+      const { stage } = finalRound;
+      const currentId = stage === "judge" ? finalRound.order[finalRound.revealIndex] : null;
+      if (actionId === "back") {
+        closeFinal();
+      } else if (actionId === "next") {
+        if (stage === "category") setFinalRound((prev) => ({ ...prev, stage: "wager" }));
+        else if (stage === "wager" && groups.every((g) => finalRound.sealed.includes(g.id))) startFinalQuestion();
+        else if (stage === "question") startFinalJudge();
+        else if (stage === "judge" && finalRound.results[currentId]) nextFinalTeam();
+        else if (stage === "done") openResults();
+      } else if ((actionId === "correct" || actionId === "wrong") && currentId && !finalRound.results[currentId]) {
+        judgeFinal(currentId, actionId === "correct");
+      }
+      return;
+    }
+
+    // 盤面: 矢印でパネルを選び、「次へ」で開く
+    if (playIndex === null) {
+      if (["up", "down", "left", "right"].includes(actionId)) {
+        setBoardCursor((prev) => moveBoardCursor(prev, actionId, board.cols, problems.length));
+      } else if (actionId === "next" && boardCursor !== null && problems[boardCursor] && !panels[problems[boardCursor].id]) {
+        startProblem(boardCursor);
+      }
+      return;
+    }
+
+    // 出題中
+    const intro = isIntroProblem(playIndex);
+    if (actionId === "next") {
+      if (revealOpen) confirmMultipleCorrect();
+      else if (wager && !wager.locked) lockWager();
+      else if (intro && !showChoices) stopIntroAndShowChoices();
+      else openReveal();
+    } else if (actionId === "back") {
+      if (revealOpen) setRevealOpen(false);
+      else closeProblem();
+    } else if (actionId === "replay" && intro && problems[playIndex].audio) {
+      if (showChoices) toggleReplay();
+      else if (settings.introStaged) playIntroStage(introStage === null ? 0 : Math.min(introStage + 1, INTRO_STAGES.length - 1));
+    } else if ((actionId === "correct" || actionId === "wrong") && !revealOpen) {
+      const correct = actionId === "correct";
+      if (settings.buzzerEnabled && activeBuzzer) {
+        if (correct) judgeBuzzCorrect();
+        else judgeBuzzWrong();
+      } else if (stealEnabled && stealFlow && stealFlow.current) {
+        if (correct) judgeStealCorrect();
+        else judgeStealMiss("wrong");
+      }
+    }
+  };
+
+  shortcutHandlerRef.current = (e) => {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+    // ボタンにフォーカスがあるときの Enter / Space はボタン自体の操作にする
+    if (e.target.tagName === "BUTTON" && (e.key === "Enter" || e.key === " ")) return;
+    if (settingsOpen || libraryOpen || historyOpen) return;
+
+    const key = normalizeBuzzKey(e.key);
+    // 早押しを受け付けている間は早押しキーを優先する
+    const buzzerListening = settings.buzzerEnabled && playIndex !== null && !revealOpen && !wager;
+    if (buzzerListening && groups.some((g) => g.buzzKey === key)) return;
+
+    const action = SHORTCUT_ACTIONS.find((a) => shortcutKeys(settings, a.id).includes(key));
+    if (action) {
+      e.preventDefault();
+      runShortcut(action.id);
+      return;
+    }
+
+    // ファイナルの賭け金入力中は数字キーでそのチームの入力欄に移る（入力欄では Enter で確定）
+    if (finalRound && finalRound.stage === "wager" && /^[0-9]$/.test(key)) {
+      const g = groups[key === "0" ? 9 : Number(key) - 1];
+      const input = g && finalWagerInputsRef.current[g.id];
+      if (!input) return;
+      e.preventDefault();
+      input.focus();
+      return;
+    }
+
+    // 正解発表中は数字キー（1〜9, 0 = 10番目）でチームの ○ → × → 未回答 を切り替える
+    if (revealOpen && playIndex !== null && /^[0-9]$/.test(key)) {
+      const g = groups[key === "0" ? 9 : Number(key) - 1];
+      if (!g || (wager && g.id !== wager.groupId)) return;
+      e.preventDefault();
+      toggleGroupSelect(g.id);
+    }
+  };
+
+  useEffect(() => {
+    if (isAudience) return;
+    const onKeyDown = (e) => shortcutHandlerRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isAudience]);
+
+  // 設定画面でのキーの割り当て（同じキーは1つの操作にだけ割り当てる）
+  const bindShortcutKey = (actionId, key) => {
+    setSettings((prev) => ({
+      ...prev,
+      keyBindings: Object.fromEntries(SHORTCUT_ACTIONS.map((a) => {
+        const keys = shortcutKeys(prev, a.id).filter((k) => k !== key);
+        return [a.id, a.id === actionId ? [...keys, key] : keys];
+      })),
+    }));
+  };
+
+  const unbindShortcutKey = (actionId, key) => {
+    setSettings((prev) => ({ ...prev, keyBindings: { ...prev.keyBindings, [actionId]: shortcutKeys(prev, actionId).filter((k) => k !== key) } }));
+  };
+
+  return (
+    <div style={{ width: "100vw", minHeight: "100vh", background: "#660000", color: "white", padding: 24, boxSizing: "border-box", fontFamily: "sans-serif" }}>
+
+      {!isAudience && (
+        <div style={{ position: "fixed", top: 16, left: 16, display: "flex", gap: 8 }}>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }} onClick={() => setSettingsOpen(true)}>設定</button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#16a085", color: "#fff", border: "1px solid #999" }} onClick={openLibrary}>
+            ライブラリ: {(quizSets.find((s) => s.id === setId) || {}).name}
+          </button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#2c3e50", color: "#fff", border: "1px solid #999" }} onClick={openAudienceWindow}>観客画面を開く</button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#f39c12", color: "#fff", border: "1px solid #999" }} onClick={resetScoresAndUsage}>スコアリセット</button> 
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#8e44ad", color: "#fff", border: "1px solid #999" }} onClick={startFinal}>ファイナル</button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#d4ac0d", color: "#fff", border: "1px solid #999" }} onClick={openResults}>結果発表</button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }} onClick={openHistory}>履歴</button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }} onClick={() => setShortcutHelpOpen(true)} title="キーボード操作の一覧">⌨</button>
+          <button
+            style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }}
+            onClick={() => setSettings((prev) => ({ ...prev, soundMuted: !prev.soundMuted }))}
+            title={settings.soundMuted ? "効果音をオンにする" : "効果音をミュートする"}
+          >
+            {settings.soundMuted ? "🔇" : "🔊"}
+          </button>
+          <button style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer", background: "#e74c3c", color: "#fff", border: "1px solid #999" }} onClick={resetGame}>全データ削除</button>
+          <button
+            style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }}
+            onClick={undoGameEvent}
+            disabled={gameLog.cursor === 0}
+            title={gameLog.cursor > 0 ? `元に戻す: ${describeGameEvent(gameLog.events[gameLog.cursor - 1], groups, problems)}` : ""}
+          >
+            ↶ 元に戻す
+          </button>
+          <button
+            style={{ padding: "8px 16px", borderRadius: 8, cursor: "pointer" }}
+            onClick={redoGameEvent}
+            disabled={gameLog.cursor >= gameLog.events.length}
+            title={gameLog.cursor < gameLog.events.length ? `やり直す: ${describeGameEvent(gameLog.events[gameLog.cursor], groups, problems)}` : ""}
+          >
+            ↷ やり直す
+          </button>
+        </div>
+      )}
+
+      <div style={{ position: "fixed", top: 16, right: 16, width: 220, background: "rgba(0,0,0,0.5)", padding: 12, borderRadius: 8 }}>
+        <h3 style={{ margin: "0 0 8px 0", textAlign: "center", borderBottom: "1px solid #aaa", paddingBottom: 4 }}>
+          {rankingView === "player" && playerRanking.length > 0 ? "個人ランキング" : "ランキング"}
+        </h3>
+        {!isAudience && playerRanking.length > 0 && (
+          <div style={{ display: "flex", gap: 4, marginBottom: 8 }}>
+            <button onClick={() => setRankingView("team")} disabled={rankingView === "team"} style={{ flex: 1, cursor: "pointer" }}>チーム</button>
+            <button onClick={() => setRankingView("player")} disabled={rankingView === "player"} style={{ flex: 1, cursor: "pointer" }}>個人</button>
+          </div>
+        )}
+        {rankingView === "player" && playerRanking.length > 0
+          ? playerRanking.slice(0, 10).map((r) => (
+            <div key={r.id} style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
+              <div style={{ display: "flex", alignItems: "center", minWidth: 0 }}>
+                 <span style={{ width: 24, fontSize: 12, color: "#ccc" }}>{r.rank}</span>
+                 <div style={{ width: 10, height: 10, borderRadius: "50%", background: r.color, marginRight: 8, flexShrink: 0 }}></div>
+                 <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{mvp.includes(r) ? "👑 " : ""}{r.name}</span>
+              </div>
+              <div style={{ fontWeight: 700 }}>{r.points}</div>
+            </div>
+          ))
+          : ranking.map((r) => (
+            <div key={r.id} style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
+              <div style={{ display: "flex", alignItems: "center" }}>
+                 <div style={{ width: 10, height: 10, borderRadius: "50%", background: r.color, marginRight: 8 }}></div>
+                 {r.label}
+              </div>
+              <div style={{ fontWeight: 700 }}>{r.score}</div>
+            </div>
+          ))}
+        {!isAudience && (
+          <button onClick={() => setAdjustOpen((v) => !v)} style={{ width: "100%", marginTop: 4, padding: "4px 0", cursor: "pointer" }}>
+            {adjustOpen ? "得点調整・ログを閉じる" : "± 得点調整・ログ"}
+          </button>
+        )}
+      </div>
+
+      {!isAudience && adjustOpen && (
+        <div style={{ position: "fixed", top: 16, right: 252, width: 300, background: "rgba(0,0,0,0.8)", padding: 12, borderRadius: 8, zIndex: 50 }}>
+          <h3 style={{ margin: "0 0 8px 0", textAlign: "center", borderBottom: "1px solid #aaa", paddingBottom: 4 }}>得点調整</h3>
+          <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+            <input type="number" min={0} step={10} value={adjustAmount} onChange={(e) => setAdjustAmount(Math.abs(Number(e.target.value)))} style={{ width: 70, padding: 4 }} />
+            <input value={adjustReason} onChange={(e) => setAdjustReason(e.target.value)} placeholder="理由（任意）" style={{ flex: 1, padding: 4 }} />
+          </div>
+          {groups.map((g) => (
+            <div key={g.id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+              <div style={{ width: 10, height: 10, borderRadius: "50%", background: g.color }}></div>
+              <div style={{ flex: 1 }}>{g.label}</div>
+              <button onClick={() => adjustScore(g.id, -adjustAmount)} style={{ width: 36, cursor: "pointer" }}>−</button>
+              <button onClick={() => adjustScore(g.id, adjustAmount)} style={{ width: 36, cursor: "pointer" }}>＋</button>
+            </div>
+          ))}
+          {gameLog.events.length > 0 && (
+            <div style={{ marginTop: 8, borderTop: "1px solid #aaa", paddingTop: 8, fontSize: 12, maxHeight: 200, overflowY: "auto" }}>
+              <div style={{ fontWeight: "bold", marginBottom: 4 }}>ゲームログ（新しい順）</div>
+              {gameLog.events.map((e, n) => ({ e, n })).reverse().map(({ e, n }) => (
+                // 元に戻したイベント（やり直し可能）は薄く表示
+                <div key={e.id} style={{ marginBottom: 4, opacity: n < gameLog.cursor ? 1 : 0.4, textDecoration: n < gameLog.cursor ? "none" : "line-through" }}>
+                  <span style={{ color: "#ccc", marginRight: 4 }}>{new Date(e.at).toLocaleTimeString()}</span>
+                  {describeGameEvent(e, groups, problems)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ maxWidth: 1000, margin: "80px auto 24px" }}>
+        <div style={{ display: "grid", gridTemplateColumns: `repeat(${board.cols},1fr)`, gap: 12, textAlign: "center", fontWeight: 700 }}>
+          {genres.map((g, i) => (
+            <div key={i} style={{ padding: 12, background: "linear-gradient(#444, #222)", borderRadius: 8, border: "1px solid #666" }}>{g}</div>
+          ))}
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: `repeat(${board.cols},1fr)`, gap: 12, marginTop: 12 }}>
+          {problems.map((p, i) => {
+            const panel = panels[p.id];
+            return (
+            <div key={i} style={{ 
+              background: panel ? panelColor(panel) : "rgba(255,255,255,0.1)", 
+              borderRadius: 12, 
+              padding: 12, 
+              height: 100, 
+              display: "flex", 
+              flexDirection: "column", 
+              alignItems: "center", 
+              justifyContent: "center",
+              border: panel ? "2px solid rgba(0,0,0,0.3)" : "2px solid rgba(255,255,255,0.1)",
+              outline: !isAudience && boardCursor === i ? "4px solid #f1c40f" : "none",
+              outlineOffset: 2
+            }}>
+              <div style={{ fontSize: 24, fontWeight: "bold", opacity: panel ? 0.5 : 1 }}>{p.score}</div>
+              {!panel && !isAudience && (
+                <button 
+                  style={{ marginTop: 8, padding: "4px 12px", borderRadius: 20, cursor: "pointer", border: "none", background: "#fff", color: "#333", fontWeight: "bold" }} 
+                  onClick={() => startProblem(i)}
+                >
+                  START
+                </button>
+              )}
+              {panel && !isAudience && (
+                <button 
+                  style={{ marginTop: 8, padding: "2px 10px", borderRadius: 20, cursor: "pointer", border: "none", background: "rgba(255,255,255,0.6)", color: "#333", fontSize: 12 }} 
+                  onClick={() => reopenPanel(i)}
+                >
+                  再開
+                </button>
+              )}
+            </div>
+            );
+          })}
+        </div>
+
+        {!isAudience && !finalRound && problems.length > 0 && problems.every((p) => panels[p.id]) && (
+          <div style={{ textAlign: "center", marginTop: 24 }}>
+            <button onClick={startFinal} style={{ padding: "16px 48px", fontSize: 24, fontWeight: "bold", cursor: "pointer", background: "#8e44ad", color: "white", border: "2px solid #f1c40f", borderRadius: 12 }}>
+              全パネル終了！ ファイナルへ
+            </button>
+            <button onClick={openResults} style={{ marginLeft: 16, padding: "16px 32px", fontSize: 20, fontWeight: "bold", cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 12 }}>
+              結果発表へ
+            </button>
+          </div>
+        )}
+      </div>
+
+      {resultsOpen && (() => {
+        const results = buildResults();
+        const columns = resultsDetail === "genre"
+          ? genres.map((g, col) => ({ key: `g${col}`, label: g, value: (r) => r.byGenre[col].points }))
+          : problems.map((p, i) => ({ key: `p${p.id}`, label: `${i + 1}`, value: (r) => r.byProblem[i].points }));
+        return (
+          <div style={{ position: "fixed", inset: 0, background: "linear-gradient(#1a0000, #660000)", color: "white", overflowY: "auto", padding: 32, boxSizing: "border-box", zIndex: 150 }}>
+            <style>{RESULTS_KEYFRAMES}</style>
+            {!isAudience && (
+              <div style={{ position: "absolute", top: 16, right: 16, display: "flex", gap: 8 }}>
+                <button onClick={exportResultsCSV} style={{ padding: "8px 16px", cursor: "pointer" }}>CSVで保存</button>
+                <button onClick={exportResultsJSON} style={{ padding: "8px 16px", cursor: "pointer" }}>JSONで保存</button>
+                <button onClick={() => setResultsOpen(false)} style={{ padding: "8px 16px", cursor: "pointer" }}>閉じる</button>
+              </div>
+            )}
+            <h1 style={{ textAlign: "center", fontSize: 48, margin: "0 0 24px" }}>結果発表</h1>
+
+            <div style={{ display: "flex", justifyContent: "center", alignItems: "flex-end", gap: 16, marginBottom: 32 }}>
+              {PODIUM_STEPS.map((step) => {
+                const teams = results.filter((r) => r.rank === step.rank);
+                return (
+                  <div key={step.rank} style={{ width: 220, display: "flex", flexDirection: "column", alignItems: "center" }}>
+                    <div style={{ opacity: 0, animation: `quizPodiumFade 0.6s ease-out ${step.delay + 0.5}s forwards`, marginBottom: 8, textAlign: "center" }}>
+                      {teams.map((r) => (
+                        <div key={r.id} style={{ padding: "6px 16px", marginTop: 4, borderRadius: 8, background: r.color, fontSize: step.rank === 1 ? 28 : 22, fontWeight: "bold" }}>
+                          {r.label}
+                          <div style={{ fontSize: 16 }}>{r.score}点</div>
+                        </div>
+                      ))}
+                    </div>
+                    <div style={{ width: "100%", height: step.height, background: step.color, borderRadius: "8px 8px 0 0", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 48, fontWeight: "bold", color: "#333", transformOrigin: "bottom", transform: "scaleY(0)", animation: `quizPodiumRise 0.8s ease-out ${step.delay}s forwards` }}>
+                      {step.rank}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div style={{ maxWidth: 1100, margin: "0 auto" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+                <h2 style={{ margin: 0 }}>最終順位</h2>
+                {!isAudience && (
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button onClick={() => setResultsDetail("genre")} disabled={resultsDetail === "genre"} style={{ cursor: "pointer" }}>ジャンル別</button>
+                    <button onClick={() => setResultsDetail("problem")} disabled={resultsDetail === "problem"} style={{ cursor: "pointer" }}>問題別</button>
+                  </div>
+                )}
+              </div>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", background: "rgba(0,0,0,0.4)", textAlign: "center" }}>
+                  <thead>
+                    <tr>
+                      <th style={{ padding: 8 }}>順位</th>
+                      <th style={{ padding: 8, textAlign: "left" }}>チーム</th>
+                      {columns.map((c) => <th key={c.key} style={{ padding: 8, fontSize: 14 }}>{c.label}</th>)}
+                      <th style={{ padding: 8, fontSize: 14 }}>その他</th>
+                      <th style={{ padding: 8 }}>合計</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map((r) => (
+                      <tr key={r.id} style={{ borderTop: "1px solid rgba(255,255,255,0.2)" }}>
+                        <td style={{ padding: 8, fontWeight: "bold" }}>{r.rank}位</td>
+                        <td style={{ padding: 8, textAlign: "left", fontWeight: "bold" }}>
+                          <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: "50%", background: r.color, marginRight: 8 }}></span>
+                          {r.label}
+                        </td>
+                        {columns.map((c) => {
+                          const v = c.value(r);
+                          return <td key={c.key} style={{ padding: 8, color: v < 0 ? "#ff8a80" : v > 0 ? "white" : "#888" }}>{v}</td>;
+                        })}
+                        <td style={{ padding: 8, color: "#ccc" }}>{r.other}</td>
+                        <td style={{ padding: 8, fontWeight: "bold", fontSize: 20 }}>{r.score}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p style={{ fontSize: 12, color: "#ccc" }}>「その他」は手動の得点調整・ファイナル・記録開始前の持ち点の合計です。</p>
+
+              {playerRanking.length > 0 && (
+                <>
+                  <h2 style={{ margin: "32px 0 8px" }}>個人成績</h2>
+                  {mvp.length > 0 && (
+                    <div style={{ display: "flex", justifyContent: "center", gap: 16, marginBottom: 16 }}>
+                      {mvp.map((r) => (
+                        <div key={r.id} style={{ padding: "12px 32px", borderRadius: 12, background: r.color, textAlign: "center", fontWeight: "bold", animation: "quizPodiumFade 0.6s ease-out forwards" }}>
+                          <div style={{ fontSize: 18 }}>👑 MVP</div>
+                          <div style={{ fontSize: 32 }}>{r.name}</div>
+                          <div style={{ fontSize: 16 }}>{r.team}・{r.points}点（{r.correct}問正解）</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <table style={{ width: "100%", borderCollapse: "collapse", background: "rgba(0,0,0,0.4)", textAlign: "center" }}>
+                    <thead>
+                      <tr>
+                        <th style={{ padding: 8 }}>順位</th>
+                        <th style={{ padding: 8, textAlign: "left" }}>名前</th>
+                        <th style={{ padding: 8, textAlign: "left" }}>チーム</th>
+                        <th style={{ padding: 8 }}>正解</th>
+                        <th style={{ padding: 8 }}>不正解</th>
+                        <th style={{ padding: 8 }}>得点</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {playerRanking.map((r) => (
+                        <tr key={r.id} style={{ borderTop: "1px solid rgba(255,255,255,0.2)" }}>
+                          <td style={{ padding: 8, fontWeight: "bold" }}>{r.rank}位</td>
+                          <td style={{ padding: 8, textAlign: "left", fontWeight: "bold" }}>{mvp.includes(r) ? "👑 " : ""}{r.name}</td>
+                          <td style={{ padding: 8, textAlign: "left" }}>
+                            <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: "50%", background: r.color, marginRight: 8 }}></span>
+                            {r.team}
+                          </td>
+                          <td style={{ padding: 8 }}>{r.correct}</td>
+                          <td style={{ padding: 8, color: "#ccc" }}>{r.wrong}</td>
+                          <td style={{ padding: 8, fontWeight: "bold", fontSize: 20 }}>{r.points}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p style={{ fontSize: 12, color: "#ccc" }}>正解発表で解答者を選んだ問題の得点です。解答者を選ばなかった得点はチームの得点にだけ入ります。</p>
+                </>
+              )}
+            </div>
+          </div>
+        );
+      })()}
+
+      {finalRound && (() => {
+        const { stage } = finalRound;
+        const groupOf = (gid) => groups.find((g) => g.id === gid);
+        const currentId = stage === "judge" ? finalRound.order[finalRound.revealIndex] : null;
+        const current = currentId && groupOf(currentId);
+        const currentResult = currentId && finalRound.results[currentId];
+        const answerText = isAudience ? audienceFinalAnswer : finalProblem.choices[finalProblem.answer];
+        return (
+          <div style={{ position: "fixed", inset: 0, background: "linear-gradient(135deg, #2c0e3a, #0b1a33)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 100 }}>
+            <style>{BONUS_KEYFRAMES}</style>
+            <div style={{ width: "90vw", maxWidth: 1000, minHeight: "60vh", color: "white", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", textAlign: "center", position: "relative" }}>
+              {!isAudience && (
+                <button onClick={closeFinal} style={{ position: "absolute", top: 0, right: 0, padding: "8px 16px", cursor: "pointer" }}>
+                  {stage === "done" ? "閉じる" : "中断"}
+                </button>
+              )}
+
+              <div style={{ fontSize: 28, color: "#f1c40f", letterSpacing: 8 }}>FINAL</div>
+              <div key={stage === "category" ? "category" : "fixed"} style={{ fontSize: stage === "category" ? 72 : 32, fontWeight: "bold", margin: "16px 0 32px", animation: stage === "category" ? "quizBonusPop 0.8s ease-out, quizBonusGlow 1.5s ease-in-out 0.8s infinite" : "none" }}>
+                {finalProblem.category}
+              </div>
+
+              {stage === "category" && !isAudience && (
+                <button onClick={() => setFinalRound((prev) => ({ ...prev, stage: "wager" }))} style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 8 }}>
+                  賭け金の入力へ
+                </button>
+              )}
+
+              {stage === "wager" && (
+                <>
+                  <p style={{ fontSize: 18 }}>
+                    各チームが持ち点から賭け金を決めます（他のチームには見えません）。正解なら賭け金を獲得、不正解なら賭け金を失います。
+                  </p>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 8, minWidth: 480 }}>
+                    {groups.map((g) => {
+                      const sealed = finalRound.sealed.includes(g.id);
+                      return (
+                        <div key={g.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "8px 16px", borderRadius: 8, background: "rgba(255,255,255,0.1)", borderLeft: `8px solid ${g.color}` }}>
+                          <div style={{ flex: 1, textAlign: "left", fontSize: 20, fontWeight: "bold" }}>{g.label}</div>
+                          <div style={{ width: 100 }}>{scores[g.id] || 0}点</div>
+                          {sealed ? (
+                            <div style={{ width: 200, color: "#2ecc71", fontWeight: "bold" }}>✓ 入力済み</div>
+                          ) : isAudience ? (
+                            <div style={{ width: 200, color: "#aaa" }}>入力中…</div>
+                          ) : (
+                            <div style={{ width: 200, display: "flex", gap: 4 }}>
+                              {/* 入力内容は伏せ字にして、画面を見ている他チームに分からないようにする */}
+                              <input
+                                ref={(el) => { finalWagerInputsRef.current[g.id] = el; }}
+                                type="password"
+                                inputMode="numeric"
+                                value={finalRound.wagers[g.id] ?? ""}
+                                onChange={(e) => setFinalWager(g.id, e.target.value.replace(/[^0-9]/g, ""))}
+                                onKeyDown={(e) => {
+                                  if (e.key === "Enter") sealFinalWager(g.id);
+                                  else if (e.key === "Escape") e.target.blur();
+                                }}
+                                placeholder={`0〜${maxWager(g.id)}`}
+                                style={{ width: 110, padding: 6 }}
+                              />
+                              <button onClick={() => sealFinalWager(g.id)} style={{ cursor: "pointer" }}>確定</button>
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {!isAudience && (
+                    <button
+                      onClick={startFinalQuestion}
+                      disabled={groups.some((g) => !finalRound.sealed.includes(g.id))}
+                      style={{ marginTop: 24, padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 8 }}
+                    >
+                      ファイナル問題を出題
+                    </button>
+                  )}
+                </>
+              )}
+
+              {stage === "question" && (
+                <>
+                  <div style={{ fontSize: 36, fontWeight: "bold", marginBottom: 24, lineHeight: 1.4 }}>{finalProblem.question}</div>
+                  <div style={{ display: "grid", gridTemplateColumns: `repeat(${choiceGridColumns(finalProblem.choices.length)}, 1fr)`, gap: 16, alignSelf: "stretch" }}>
+                    {finalProblem.choices.map((c, idx) => (
+                      <div key={idx} style={{ padding: 20, background: "rgba(255,255,255,0.1)", border: "2px solid #666", borderRadius: 12, fontSize: 24, fontWeight: "bold" }}>
+                        <span style={{ color: "#aaa", marginRight: 12 }}>{choiceLabel(idx)}</span>{c}
+                      </div>
+                    ))}
+                  </div>
+                  {timer && (
+                    <div style={{ fontSize: 48, fontWeight: "bold", marginTop: 24, color: timerRemaining <= settings.timerWarningSeconds * 1000 ? "#e74c3c" : "white" }}>
+                      {timerRemaining > 0 ? `${Math.ceil(timerRemaining / 1000)}秒` : "終了"}
+                    </div>
+                  )}
+                  {!isAudience && (
+                    <>
+                      <div style={{ marginTop: 16, padding: "8px 16px", background: "#fffde7", color: "#333", border: "1px dashed #f9a825", borderRadius: 8, fontSize: 16 }}>
+                        <strong>【司会者用】</strong> 正解: {choiceLabel(finalProblem.answer)}. {answerText}
+                        {finalProblem.note && <div style={{ marginTop: 4, whiteSpace: "pre-wrap" }}>メモ: {finalProblem.note}</div>}
+                      </div>
+                      <button onClick={startFinalJudge} style={{ marginTop: 24, padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#e74c3c", color: "white", border: "none", borderRadius: 8 }}>
+                        判定へ
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+
+              {stage === "judge" && current && (
+                <>
+                  <div style={{ fontSize: 28, marginBottom: 24 }}>正解： {answerText}</div>
+                  <div key={currentId} style={{ padding: "24px 64px", borderRadius: 16, background: current.color, animation: "quizBonusPop 0.6s ease-out" }}>
+                    <div style={{ fontSize: 48, fontWeight: "bold" }}>{current.label}</div>
+                    <div style={{ fontSize: 24, marginTop: 8 }}>
+                      賭け金: {currentResult ? `${finalRound.wagers[currentId] || 0}点` : "？？？"}
+                    </div>
+                  </div>
+                  {currentResult && (
+                    <div key={`${currentId}-result`} style={{ marginTop: 24, fontSize: 56, fontWeight: "bold", color: currentResult === "correct" ? "#2ecc71" : "#e74c3c", animation: "quizBonusPop 0.6s ease-out" }}>
+                      {currentResult === "correct" ? "○ 正解" : "× 不正解"}
+                      <span style={{ fontSize: 32, marginLeft: 16 }}>→ {scores[currentId] || 0}点</span>
+                    </div>
+                  )}
+                  {!isAudience && (
+                    <div style={{ display: "flex", gap: 16, marginTop: 32 }}>
+                      {currentResult ? (
+                        <button onClick={nextFinalTeam} style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 8 }}>
+                          {finalRound.revealIndex + 1 < finalRound.order.length ? "次のチーム" : "最終結果へ"}
+                        </button>
+                      ) : (
+                        <>
+                          <button onClick={() => judgeFinal(currentId, true)} style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#2ecc71", color: "white", border: "none", borderRadius: 8 }}>○ 正解</button>
+                          <button onClick={() => judgeFinal(currentId, false)} style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#e74c3c", color: "white", border: "none", borderRadius: 8 }}>× 不正解</button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+
+              {stage === "done" && (
+                <div style={{ minWidth: 480 }}>
+                  <div style={{ fontSize: 28, marginBottom: 24 }}>正解： {answerText}</div>
+                  {ranking.map((r) => (
+                    <div key={r.id} style={{ display: "flex", justifyContent: "space-between", padding: "12px 24px", marginBottom: 8, borderRadius: 8, background: r.color, fontSize: r.rank === 1 ? 36 : 24, fontWeight: "bold", animation: r.rank === 1 ? "quizBonusGlow 1.5s ease-in-out infinite" : "none" }}>
+                      <span>{r.rank}位 {r.label}</span>
+                      <span>{r.score}点</span>
+                    </div>
+                  ))}
+                  {!isAudience && (
+                    <button onClick={openResults} style={{ marginTop: 16, padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 8 }}>
+                      結果発表へ
+                    </button>
+                  )}
+                </div>
               )}
             </div>
-          ))}
-        </div>
-      </div>
+          </div>
+        );
+      })()}
 
       {playIndex !== null && (
         <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.9)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 100 }}>
           <div style={{ width: "90vw", maxWidth: 1000, background: "#fff", color: "#333", borderRadius: 16, padding: 32, position: "relative", minHeight: "60vh", display: "flex", flexDirection: "column" }}>
             
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24, borderBottom: "2px solid #eee", paddingBottom: 16 }}>
-              <h2 style={{ margin: 0, fontSize: 32 }}>問題 {playIndex + 1} <span style={{fontSize: 20, color: "#666"}}>({problems[playIndex].score} pts)</span></h2>
-              <button onClick={() => { setPlayIndex(null); setIsPlayingAudio(false);}} style={{ padding: "8px 16px", cursor: "pointer" }}>閉じる</button>
+              <h2 style={{ margin: 0, fontSize: 32 }}>
+                問題 {playIndex + 1}{" "}
+                <span style={{fontSize: 20, color: wager ? "#d35400" : "#666"}}>
+                  {wager && wager.locked ? `(★ボーナス ${groups.find((g) => g.id === wager.groupId)?.label || "?"}: ${wager.amount} pts)` : `(${introStageScore(playIndex)} pts)`}
+                </span>
+              </h2>
+              {!isAudience && (
+                <button onClick={closeProblem} style={{ padding: "8px 16px", cursor: "pointer" }}>閉じる</button>
+              )}
             </div>
 
             <div style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", textAlign: "center" }}>
+              {problems[playIndex].image && (() => {
+                const mode = problems[playIndex].imageReveal || "none";
+                const stage = mode === "none" || revealOpen ? IMAGE_REVEAL_STAGES : imageStage;
+                const openTiles = tileRevealOrder(problems[playIndex].id)
+                  .slice(0, Math.round((IMAGE_REVEAL_TILES * IMAGE_REVEAL_TILES * stage) / IMAGE_REVEAL_STAGES));
+                return (
+                  <div style={{ marginBottom: 24 }}>
+                    <div style={{ position: "relative", display: "inline-block", overflow: "hidden", borderRadius: 8, lineHeight: 0 }}>
+                      <img
+                        src={problems[playIndex].image}
+                        alt="問題画像"
+                        style={{ maxWidth: "100%", maxHeight: "40vh", transition: "filter 0.8s, transform 0.8s", ...imageRevealStyle(mode, stage) }}
+                      />
+                      {mode === "tiles" && (
+                        <div style={{ position: "absolute", inset: 0, display: "grid", gridTemplateColumns: `repeat(${IMAGE_REVEAL_TILES}, 1fr)` }}>
+                          {Array.from({ length: IMAGE_REVEAL_TILES * IMAGE_REVEAL_TILES }, (_, t) => (
+                            <div key={t} style={{ background: "#2c3e50", border: "1px solid #34495e", opacity: openTiles.includes(t) ? 0 : 1, transition: "opacity 0.5s" }} />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    {!isAudience && mode !== "none" && stage < IMAGE_REVEAL_STAGES && (
+                      <div style={{ display: "flex", justifyContent: "center", gap: 8, marginTop: 8, lineHeight: 1 }}>
+                        <button onClick={() => setImageStage((s) => Math.min(s + 1, IMAGE_REVEAL_STAGES))} style={{ padding: "8px 16px", cursor: "pointer" }}>
+                          ▶ もっと見せる ({stage}/{IMAGE_REVEAL_STAGES})
+                        </button>
+                        <button onClick={() => setImageStage(IMAGE_REVEAL_STAGES)} style={{ padding: "8px 16px", cursor: "pointer" }}>全体を表示</button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {problems[playIndex].video && (
+                // 観客画面の動画は司会者画面の操作に追従する（音は司会者画面から出す）
+                <video
+                  ref={videoRef}
+                  src={problems[playIndex].video}
+                  controls={!isAudience}
+                  muted={isAudience}
+                  onPlay={() => sendVideoCommand("play")}
+                  onPause={() => sendVideoCommand("pause")}
+                  onSeeked={() => sendVideoCommand("seek")}
+                  style={{ maxWidth: "100%", maxHeight: "40vh", borderRadius: 8, marginBottom: 24 }}
+                />
+              )}
+
               <div style={{ fontSize: 36, fontWeight: "bold", marginBottom: 32, lineHeight: 1.4 }}>
                 {problems[playIndex].question}
               </div>
 
-              {isIntroIndex(playIndex) && !showChoices && (
+              {!isAudience && (
+                <div style={{ alignSelf: "stretch", marginBottom: 16, padding: "8px 16px", background: "#fffde7", border: "1px dashed #f9a825", borderRadius: 8, textAlign: "left", fontSize: 16 }}>
+                  <strong>【司会者用】</strong> 正解: {problems[playIndex].answerFormat === "open" ? answerTextOf(problems[playIndex]) : `${choiceLabel(problems[playIndex].answer)}. ${answerTextOf(problems[playIndex])}`}
+                  {problems[playIndex].note && <div style={{ marginTop: 4, whiteSpace: "pre-wrap" }}>メモ: {problems[playIndex].note}</div>}
+                </div>
+              )}
+
+              {remoteAnswerEnabled && problems[playIndex].answerFormat !== "open" && (!wager || wager.locked) && (
+                <div style={{ alignSelf: "stretch", display: "flex", flexWrap: "wrap", justifyContent: "center", alignItems: "center", gap: 8, marginBottom: 16 }}>
+                  <span style={{ color: "#666", fontSize: 14 }}>📱 スマホ解答:</span>
+                  {(wager ? groups.filter((g) => g.id === wager.groupId) : groups).map((g) => {
+                    const locked = g.id in remoteAnswers;
+                    const choice = remoteAnswers[g.id];
+                    return (
+                      <span key={g.id} style={{ padding: "4px 12px", borderRadius: 16, background: g.color, color: "white", fontWeight: "bold", opacity: locked ? 1 : 0.35 }}>
+                        {g.label} {locked ? (answerShown && choice !== null ? choiceLabel(choice) : "✔") : "…"}
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
+
+              {stealEnabled && (() => {
+                const groupOf = (gid) => groups.find((g) => g.id === gid);
+                const current = stealFlow && stealFlow.current && groupOf(stealFlow.current);
+                const stealing = stealFlow && stealFlow.attempts.length > 0;
+                return (
+                  <div style={{ alignSelf: "stretch", marginBottom: 16, padding: 16, background: "#f5f5f5", borderRadius: 12 }}>
+                    {!stealFlow ? (
+                      isAudience ? (
+                        <div style={{ fontSize: 24, fontWeight: "bold", color: "#666" }}>解答するチームは…？</div>
+                      ) : (
+                        <>
+                          <div style={{ fontSize: 18, fontWeight: "bold", marginBottom: 8 }}>最初に解答するチーム</div>
+                          <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8 }}>
+                            {groups.map((g) => (
+                              <button key={g.id} onClick={() => startStealFlow(g.id)} style={{ padding: "8px 16px", cursor: "pointer", background: g.color, color: "white", border: "none", borderRadius: 8, fontWeight: "bold" }}>
+                                {g.label}
+                              </button>
+                            ))}
+                          </div>
+                        </>
+                      )
+                    ) : current ? (
+                      <>
+                        {stealing && <div style={{ fontSize: 20, fontWeight: "bold", color: "#e67e22" }}>スティールのチャンス！（{stealValue(playIndex)}点）</div>}
+                        <div style={{ fontSize: 40, fontWeight: "bold", color: current.color }}>🎯 {current.label}</div>
+                      </>
+                    ) : (
+                      <div style={{ fontSize: 24, fontWeight: "bold", color: "#666" }}>全チーム解答済み</div>
+                    )}
+
+                    {stealFlow && stealFlow.attempts.length > 0 && (
+                      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginTop: 12 }}>
+                        {stealFlow.attempts.map((a) => {
+                          const g = groupOf(a.groupId);
+                          return (
+                            <span key={a.groupId} style={{ padding: "4px 12px", borderRadius: 16, background: g ? g.color : "#999", color: "white", fontWeight: "bold", opacity: 0.5, textDecoration: "line-through" }}>
+                              {g ? g.label : "?"} {a.result === "pass" ? "パス" : "×"}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    )}
+
+                    {!isAudience && current && (
+                      <div style={{ display: "flex", justifyContent: "center", gap: 8, marginTop: 12 }}>
+                        <button onClick={judgeStealCorrect} style={{ padding: "8px 16px", cursor: "pointer", background: "#2ecc71", color: "white", border: "none", borderRadius: 8 }}>○ 正解</button>
+                        <button onClick={() => judgeStealMiss("wrong")} style={{ padding: "8px 16px", cursor: "pointer", background: "#e74c3c", color: "white", border: "none", borderRadius: 8 }}>× 不正解（次のチームへ）</button>
+                        {stealing && <button onClick={() => judgeStealMiss("pass")} style={{ padding: "8px 16px", cursor: "pointer" }}>パス</button>}
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
+
+              {settings.buzzerEnabled && !wager && (
+                <div style={{ alignSelf: "stretch", marginBottom: 16, padding: 16, background: "#f5f5f5", borderRadius: 12 }}>
+                  {activeBuzzer ? (
+                    <div style={{ fontSize: 40, fontWeight: "bold", color: groups.find((g) => g.id === activeBuzzer)?.color || "#333" }}>
+                      🔔 {groups.find((g) => g.id === activeBuzzer)?.label || "削除されたチーム"}
+                    </div>
+                  ) : (
+                    <div style={{ fontSize: 24, fontWeight: "bold", color: "#666" }}>
+                      {buzzWrong.length > 0 ? "残りのチームの早押しを受付中…" : "早押し受付中…"}
+                    </div>
+                  )}
+
+                  {buzzOrder.length > 0 && (
+                    <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 8, marginTop: 12 }}>
+                      {buzzOrder.map((gid, n) => {
+                        const g = groups.find((x) => x.id === gid);
+                        const wrong = buzzWrong.includes(gid);
+                        return (
+                          <span key={gid} style={{ padding: "4px 12px", borderRadius: 16, background: g ? g.color : "#999", color: "white", fontWeight: "bold", opacity: wrong ? 0.4 : 1, textDecoration: wrong ? "line-through" : "none", outline: gid === activeBuzzer ? "3px solid #333" : "none" }}>
+                            {n + 1}. {g ? g.label : "?"}
+                          </span>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {!isAudience && (
+                    <div style={{ display: "flex", justifyContent: "center", gap: 8, marginTop: 12 }}>
+                      <button onClick={judgeBuzzCorrect} disabled={!activeBuzzer} style={{ padding: "8px 16px", cursor: "pointer", background: "#2ecc71", color: "white", border: "none", borderRadius: 8 }}>○ 正解</button>
+                      <button onClick={judgeBuzzWrong} disabled={!activeBuzzer} style={{ padding: "8px 16px", cursor: "pointer", background: "#e74c3c", color: "white", border: "none", borderRadius: 8 }}>× 不正解（次へ）</button>
+                      <button onClick={resetBuzz} style={{ padding: "8px 16px", cursor: "pointer" }}>早押しリセット</button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {isIntroProblem(playIndex) && !showChoices && (
                 <div style={{ fontSize: 48, color: isPlayingAudio ? "#e74c3c" : "#3498db", fontWeight: "bold", marginBottom: 32 }}>
                   {isPlayingAudio ? "♪ イントロ再生中..." : "■ 再生停止中"}
+                  {settings.introStaged && introStage !== null && (
+                    <div style={{ fontSize: 20, color: "#666" }}>（{INTRO_STAGES[introStage].label}まで再生）</div>
+                  )}
                 </div>
               )}
             </div>
 
-            {showChoices && (
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginTop: 24 }}>
+            {timer && (
+              <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 8 }}>
+                <div style={{ flex: 1, height: 16, background: "#eee", borderRadius: 8, overflow: "hidden" }}>
+                  <div style={{
+                    width: `${(timerRemaining / (timer.total * 1000)) * 100}%`,
+                    height: "100%",
+                    background: timerRemaining <= settings.timerWarningSeconds * 1000 ? "#e74c3c" : "#3498db",
+                    transition: "width 0.1s linear",
+                  }} />
+                </div>
+                <div style={{ width: 80, fontSize: 24, fontWeight: "bold", textAlign: "right", color: timerRemaining <= settings.timerWarningSeconds * 1000 ? "#e74c3c" : "#333" }}>
+                  {timerRemaining > 0 ? `${Math.ceil(timerRemaining / 1000)}秒` : "終了"}
+                </div>
+                {!isAudience && timerRemaining > 0 && (
+                  <button onClick={timer.running ? pauseTimer : resumeTimer} style={{ padding: "6px 12px", cursor: "pointer" }}>
+                    {timer.running ? "⏸ 一時停止" : "▶ 再開"}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {showChoices && problems[playIndex].answerFormat === "open" && (
+              <div style={{ marginTop: 24, padding: 24, background: "#f5f5f5", borderRadius: 12, fontSize: 24, fontWeight: "bold", textAlign: "center", color: "#666" }}>
+                ✎ 記述問題（答えを書いてください）
+              </div>
+            )}
+
+            {showChoices && problems[playIndex].answerFormat !== "open" && (
+              <div style={{ display: "grid", gridTemplateColumns: `repeat(${choiceGridColumns(problems[playIndex].choices.length)}, 1fr)`, gap: 16, marginTop: 24 }}>
                 {problems[playIndex].choices.map((c, idx) => (
                   <div key={idx} style={{ 
                     padding: 24, 
                     background: "#f5f5f5", 
                     borderRadius: 12, 
-                    fontSize: 24, 
+                    fontSize: problems[playIndex].answerFormat === "truefalse" ? 64 : 24, 
                     fontWeight: "bold",
                     textAlign: "center",
                     border: "2px solid #ddd",
+                    color: problems[playIndex].answerFormat === "truefalse" ? (idx === 0 ? "#e74c3c" : "#3498db") : "inherit",
                     position: "relative"
                   }}>
-                    <span style={{ position: "absolute", left: 16, top: 16, color: "#999" }}>{["A","B","C","D"][idx]}</span>
+                    {problems[playIndex].answerFormat !== "truefalse" && (
+                      <span style={{ position: "absolute", left: 16, top: 16, color: "#999" }}>{choiceLabel(idx)}</span>
+                    )}
                     {c}
                   </div>
                 ))}
               </div>
             )}
 
+            {!isAudience && (
             <div style={{ marginTop: 32, display: "flex", justifyContent: "center", gap: 16 }}>
-               {isIntroIndex(playIndex) && !showChoices ? (
-                 // --- イントロ再生中のボタン ---
-                 <button 
-                   onClick={() => {
-                       if (audioRef.current) { 
-                         audioRef.current.pause(); 
-                         audioRef.current.loop = false;
-                       }
-                       setIsPlayingAudio(false); // 再生状態を停止に
-                       setShowChoices(true);
-                   }} 
-                   style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#3498db", color: "white", border: "none", borderRadius: 8 }}
+               {audioResumeAt !== null && audioRef.current && (
+                 <button
+                   onClick={resumeIntroAudio}
+                   title="再読み込み前に再生していた位置から再生します"
+                   style={{ padding: "12px 24px", fontSize: 18, cursor: "pointer", background: "#16a085", color: "white", border: "none", borderRadius: 8 }}
                  >
-                   ■ 再生停止 / 選択肢表示
+                   ▶ 続きから再生（{Math.floor(audioResumeAt / 60)}:{String(Math.floor(audioResumeAt % 60)).padStart(2, "0")}）
                  </button>
+               )}
+               {isIntroProblem(playIndex) && !showChoices ? (
+                 // --- イントロ再生中のボタン ---
+                 <>
+                   {settings.introStaged && problems[playIndex].audio && INTRO_STAGES.map((st, n) => (
+                     <button
+                       key={st.label}
+                       onClick={() => playIntroStage(n)}
+                       style={{ padding: "12px 24px", fontSize: 18, cursor: "pointer", background: introStage !== null && n <= introStage ? "#f39c12" : "#f1c40f", color: "black", border: "none", borderRadius: 8 }}
+                     >
+                       ▶ {st.label}
+                     </button>
+                   ))}
+                   <button 
+                     onClick={stopIntroAndShowChoices} 
+                     style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#3498db", color: "white", border: "none", borderRadius: 8 }}
+                   >
+                     ■ 再生停止 / 選択肢表示
+                   </button>
+                 </>
                ) : (
                  // --- 選択肢表示後（共通）のボタン ---
                  <>
-                   {problems[playIndex].audio && (
+                   {isIntroProblem(playIndex) && problems[playIndex].audio && (
                      // NEW: もう一度再生ボタンのトグルロジック
                      <button 
                        onClick={toggleReplay} 
@@ -534,11 +3872,7 @@ export default function QuizGame() {
                    )}
                    
                    <button 
-                     onClick={() => {
-                       playCorrectSound(); 
-                       setRevealOpen(true); 
-                       if (audioRef.current) try { audioRef.current.pause(); setIsPlayingAudio(false); } catch (e) {}
-                     }} 
+                     onClick={openReveal} 
                      style={{ padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#e74c3c", color: "white", border: "none", borderRadius: 8 }}
                    >
                      正解発表へ
@@ -546,31 +3880,136 @@ export default function QuizGame() {
                  </>
                )}
             </div>
+            )}
 
-            {revealOpen && (
-              <div style={{ position: "absolute", inset: 0, background: "rgba(255,255,255,0.95)", borderRadius: 16, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", zIndex: 10 }}>
-                <h2>正解： {problems[playIndex].choices[problems[playIndex].answer]}</h2>
-                <p>正解したチームを選択してください（複数可）</p>
-                <div style={{ display: "flex", gap: 16, marginBottom: 24 }}>
-                  {GROUPS.map((g) => (
+            {wager && !wager.locked && (
+              <div style={{ position: "absolute", inset: 0, background: "linear-gradient(135deg, #8e44ad, #2c3e50)", color: "white", borderRadius: 16, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", zIndex: 10, textAlign: "center" }}>
+                <style>{BONUS_KEYFRAMES}</style>
+                <div style={{ fontSize: 72, fontWeight: "bold", color: "#f1c40f", animation: "quizBonusPop 0.8s ease-out, quizBonusGlow 1.5s ease-in-out 0.8s infinite" }}>
+                  ★ ボーナス ★
+                </div>
+                <p style={{ fontSize: 20 }}>持ち点から賭け金を決めてください。正解なら賭け金を獲得、不正解なら賭け金を失います。</p>
+
+                {isAudience ? (
+                  wager.groupId && (
+                    <div style={{ fontSize: 32, fontWeight: "bold" }}>
+                      {groups.find((g) => g.id === wager.groupId)?.label} が挑戦中…
+                    </div>
+                  )
+                ) : (
+                  <>
+                    <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 12, margin: "16px 0" }}>
+                      {groups.map((g) => (
+                        <button
+                          key={g.id}
+                          onClick={() => setWager({ ...wager, groupId: g.id, amount: Math.min(wager.amount, maxWager(g.id)) })}
+                          style={{ padding: "12px 20px", fontSize: 18, borderRadius: 8, cursor: "pointer", background: g.color, color: "white", border: wager.groupId === g.id ? "4px solid #f1c40f" : "1px solid #ccc", opacity: wager.groupId === g.id ? 1 : 0.7 }}
+                        >
+                          {g.label}（{scores[g.id] || 0}点）
+                        </button>
+                      ))}
+                    </div>
+                    {wager.groupId && (
+                      <div style={{ display: "flex", alignItems: "center", gap: 12, fontSize: 20 }}>
+                        <label>
+                          賭け金:
+                          <input
+                            type="number"
+                            min={0}
+                            max={maxWager(wager.groupId)}
+                            step={10}
+                            value={wager.amount}
+                            onChange={(e) => setWager({ ...wager, amount: Math.min(Math.max(0, Number(e.target.value)), maxWager(wager.groupId)) })}
+                            style={{ width: 120, margin: "0 8px", padding: 6, fontSize: 20 }}
+                          />
+                          点
+                        </label>
+                        <span style={{ fontSize: 14 }}>（最大 {maxWager(wager.groupId)} 点）</span>
+                        <button onClick={() => setWager({ ...wager, amount: maxWager(wager.groupId) })} style={{ padding: "6px 12px", cursor: "pointer" }}>全額</button>
+                      </div>
+                    )}
                     <button
-                      key={g.id}
-                      onClick={() => toggleGroupSelect(g.id)}
-                      style={{
-                        padding: "16px 24px",
-                        fontSize: 18,
-                        borderRadius: 8,
-                        border: selectedGroups.includes(g.id) ? "4px solid #000" : "1px solid #ccc",
-                        background: g.color,
-                        color: "white",
-                        cursor: "pointer",
-                        opacity: selectedGroups.includes(g.id) ? 1 : 0.6,
-                        transform: selectedGroups.includes(g.id) ? "scale(1.1)" : "scale(1)"
-                      }}
+                      onClick={lockWager}
+                      disabled={!wager.groupId}
+                      style={{ marginTop: 24, padding: "12px 32px", fontSize: 18, cursor: "pointer", background: "#f1c40f", color: "#333", border: "none", borderRadius: 8 }}
                     >
-                      {g.label}
+                      賭け金を確定して出題
                     </button>
-                  ))}
+                  </>
+                )}
+              </div>
+            )}
+
+            {revealOpen && isAudience && (
+              <div style={{ position: "absolute", inset: 0, background: "rgba(255,255,255,0.95)", borderRadius: 16, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", zIndex: 10 }}>
+                <h2 style={{ fontSize: 48 }}>{answerShown ? `正解： ${audienceAnswer}` : "正解は…？"}</h2>
+              </div>
+            )}
+
+            {revealOpen && !isAudience && (
+              <div style={{ position: "absolute", inset: 0, background: "rgba(255,255,255,0.95)", borderRadius: 16, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", zIndex: 10 }}>
+                <h2>{problems[playIndex].answerFormat === "open" ? "模範解答" : "正解"}： {answerTextOf(problems[playIndex])}</h2>
+                <button
+                  onClick={() => setAnswerShown((v) => !v)}
+                  style={{ marginBottom: 16, padding: "8px 16px", cursor: "pointer", background: answerShown ? "#7f8c8d" : "#2c3e50", color: "white", border: "none", borderRadius: 8 }}
+                >
+                  {answerShown ? "観客画面の正解を隠す" : "観客画面に正解を表示"}
+                </button>
+                <p>チームを押すごとに「○ 正解 → × 不正解 → 未回答」と切り替わります</p>
+                <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 16, marginBottom: 16 }}>
+                  {(wager ? groups.filter((g) => g.id === wager.groupId) : groups).map((g) => {
+                    const correct = selectedGroups.includes(g.id);
+                    const wrong = wrongGroups.includes(g.id);
+                    return (
+                      <button
+                        key={g.id}
+                        onClick={() => toggleGroupSelect(g.id)}
+                        style={{
+                          padding: "16px 24px",
+                          fontSize: 18,
+                          borderRadius: 8,
+                          border: correct ? "4px solid #000" : wrong ? "4px dashed #c0392b" : "1px solid #ccc",
+                          background: g.color,
+                          color: "white",
+                          cursor: "pointer",
+                          opacity: correct || wrong ? 1 : 0.6,
+                          transform: correct ? "scale(1.1)" : "scale(1)"
+                        }}
+                      >
+                        {correct ? "○ " : wrong ? "× " : ""}{g.label}
+                      </button>
+                    );
+                  })}
+                </div>
+                {(() => {
+                  const judged = groups.filter((g) => (g.players || []).length > 0 && (selectedGroups.includes(g.id) || wrongGroups.includes(g.id)));
+                  if (judged.length === 0) return null;
+                  return (
+                    <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "center", gap: 16, marginBottom: 16, fontSize: 14 }}>
+                      {judged.map((g) => (
+                        <label key={g.id}>
+                          <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: "50%", background: g.color, marginRight: 4 }}></span>
+                          {g.label}の解答者:
+                          <select value={answerPlayers[g.id] || ""} onChange={(e) => setAnswerPlayers((prev) => ({ ...prev, [g.id]: e.target.value }))} style={{ marginLeft: 4, padding: 4 }}>
+                            <option value="">（チーム）</option>
+                            {g.players.map((pl) => <option key={pl.id} value={pl.id}>{pl.name}</option>)}
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                  );
+                })()}
+                <div style={{ display: "flex", gap: 24, marginBottom: 24, fontSize: 16 }}>
+                  <label>
+                    正解チームに
+                    <input type="number" step={10} value={awardValue} onChange={(e) => setAwardOverride(Number(e.target.value))} style={{ width: 80, margin: "0 4px", padding: 4 }} />
+                    点
+                  </label>
+                  <label>
+                    不正解チームから
+                    <input type="number" min={0} step={10} value={penaltyValue} onChange={(e) => setPenaltyOverride(Math.abs(Number(e.target.value)))} style={{ width: 80, margin: "0 4px", padding: 4 }} />
+                    点減点
+                  </label>
                 </div>
                 <div style={{ display: "flex", gap: 16 }}>
                   <button onClick={() => setRevealOpen(false)} style={{ padding: "12px 24px", fontSize: 16 }}>キャンセル</button>
@@ -584,6 +4023,138 @@ export default function QuizGame() {
         </div>
       )}
 
+      {shortcutHelpOpen && !isAudience && (
+        <div onClick={() => setShortcutHelpOpen(false)} style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.7)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 250 }}>
+          <div onClick={(e) => e.stopPropagation()} style={{ width: 640, maxWidth: "90vw", maxHeight: "90vh", overflowY: "auto", background: "white", color: "black", borderRadius: 12, padding: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 16 }}>
+              <h2 style={{ margin: 0 }}>キーボード操作</h2>
+              <button onClick={() => setShortcutHelpOpen(false)}>閉じる</button>
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 15 }}>
+              <tbody>
+                {SHORTCUT_ACTIONS.map((a) => (
+                  <tr key={a.id} style={{ borderTop: "1px solid #eee" }}>
+                    <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}>
+                      {shortcutKeys(settings, a.id).map((k) => (
+                        <kbd key={k} style={{ display: "inline-block", minWidth: 24, margin: "0 4px 0 0", padding: "2px 6px", border: "1px solid #999", borderRadius: 4, background: "#f5f5f5", textAlign: "center" }}>{shortcutKeyLabel(k)}</kbd>
+                      ))}
+                      {shortcutKeys(settings, a.id).length === 0 && <span style={{ color: "#999" }}>未設定</span>}
+                    </td>
+                    <td style={{ padding: "6px 8px" }}>{a.label}</td>
+                  </tr>
+                ))}
+                <tr style={{ borderTop: "1px solid #eee" }}>
+                  <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}><kbd style={{ padding: "2px 6px", border: "1px solid #999", borderRadius: 4, background: "#f5f5f5" }}>1〜9, 0</kbd></td>
+                  <td style={{ padding: "6px 8px" }}>正解発表中: チームの ○ 正解 → × 不正解 → 未回答 を切り替え（チームの並び順）<br />ファイナルの賭け金入力中: そのチームの入力欄へ（Enter で確定）</td>
+                </tr>
+                <tr style={{ borderTop: "1px solid #eee" }}>
+                  <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}>ファイナル</td>
+                  <td style={{ padding: "6px 8px" }}>「次へ」で 賭け金の入力 → 出題 → 判定 → 次のチーム → 結果発表、「正解」「不正解」で判定中のチームを判定、「戻る」で中断</td>
+                </tr>
+                {settings.buzzerEnabled && (
+                  <tr style={{ borderTop: "1px solid #eee" }}>
+                    <td style={{ padding: "6px 8px", whiteSpace: "nowrap" }}>早押しキー</td>
+                    <td style={{ padding: "6px 8px" }}>
+                      出題中: {groups.filter((g) => g.buzzKey).map((g) => `${buzzKeyLabel(g.buzzKey)} = ${g.label}`).join("、")}（早押しの受付中は他の操作より優先）
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+            <p style={{ fontSize: 13, color: "#666" }}>キーの割り当ては「設定 → キーボード・リモコン操作」で変更できます。</p>
+          </div>
+        </div>
+      )}
+
+      {historyOpen && (
+        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.8)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 200 }}>
+          <div style={{ width: 900, maxWidth: "90vw", maxHeight: "90vh", background: "white", color: "black", borderRadius: 12, padding: 24, display: "flex", flexDirection: "column" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 16 }}>
+              <h2 style={{ margin: 0 }}>ゲーム履歴</h2>
+              <button onClick={() => setHistoryOpen(false)}>閉じる</button>
+            </div>
+            <div style={{ flex: 1, overflowY: "auto" }}>
+              {gameHistory.length === 0 && <p style={{ color: "#666" }}>まだ記録はありません。全パネル終了・結果発表・スコアリセットのときに自動で保存されます。</p>}
+              {gameHistory.map((h) => (
+                <div key={h.key} style={{ padding: 12, marginBottom: 8, borderRadius: 8, background: "#f9f9f9", border: "1px solid #ddd" }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: "bold" }}>
+                        {new Date(h.savedAt).toLocaleString()}　{h.setName}
+                        <span style={{ marginLeft: 8, fontSize: 12, color: "#666", fontWeight: "normal" }}>（{h.reason}）</span>
+                      </div>
+                      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 4, fontSize: 14 }}>
+                        {h.teams.map((t) => (
+                          <span key={t.id} style={{ padding: "2px 8px", borderRadius: 12, background: t.color, color: "white", fontWeight: t.rank === 1 ? "bold" : "normal" }}>
+                            {t.rank}位 {t.label} {t.score}点
+                          </span>
+                        ))}
+                      </div>
+                      {h.players && pickMVP(h.players).length > 0 && (
+                        <div style={{ marginTop: 4, fontSize: 14, color: "#666" }}>
+                          👑 MVP: {pickMVP(h.players).map((r) => `${r.name}（${r.team}・${r.points}点）`).join("、")}
+                        </div>
+                      )}
+                    </div>
+                    <button onClick={() => setHistoryDetail(historyDetail === h.key ? null : h.key)} style={{ cursor: "pointer" }}>
+                      {historyDetail === h.key ? "パネルを隠す" : "パネルを見る"}
+                    </button>
+                    <button onClick={() => deleteHistoryEntry(h)} style={{ cursor: "pointer", color: "#e74c3c" }}>削除</button>
+                  </div>
+                  {historyDetail === h.key && (
+                    <div style={{ marginTop: 12 }}>
+                      <div style={{ display: "grid", gridTemplateColumns: `repeat(${h.board.cols}, 1fr)`, gap: 4, fontSize: 12, textAlign: "center" }}>
+                        {h.genres.map((g, i) => (
+                          <div key={`g${i}`} style={{ padding: 4, background: "#333", color: "white", borderRadius: 4 }}>{g}</div>
+                        ))}
+                        {h.panels.map((p) => (
+                          <div key={p.number} title={p.question} style={{ padding: 6, borderRadius: 4, background: p.taken ? p.color : "#ddd", color: p.taken ? "white" : "#666" }}>
+                            {p.score}
+                            <div>{p.taken ? p.team || "複数/なし" : "未使用"}</div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {libraryOpen && (
+        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.8)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 200 }}>
+          <div style={{ width: 640, maxWidth: "90vw", maxHeight: "90vh", background: "white", color: "black", borderRadius: 12, padding: 24, display: "flex", flexDirection: "column" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 16 }}>
+              <h2 style={{ margin: 0 }}>クイズライブラリ</h2>
+              <button onClick={() => setLibraryOpen(false)}>閉じる</button>
+            </div>
+            <div style={{ flex: 1, overflowY: "auto" }}>
+              {[...quizSets]
+                .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""))
+                .map((set) => (
+                  <div key={set.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: 12, marginBottom: 8, borderRadius: 8, background: set.id === setId ? "#e8f8f5" : "#f9f9f9", border: set.id === setId ? "2px solid #16a085" : "1px solid #ddd" }}>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: "bold" }}>{set.name}{set.id === setId && "（表示中）"}</div>
+                      <div style={{ fontSize: 12, color: "#666" }}>
+                        最終更新: {set.updatedAt ? new Date(set.updatedAt).toLocaleString() : "-"}
+                      </div>
+                    </div>
+                    <button onClick={() => onSwitchSet(set.id)} disabled={set.id === setId} style={{ cursor: "pointer" }}>開く</button>
+                    <button onClick={() => handleRenameQuizSet(set)} style={{ cursor: "pointer" }}>名前変更</button>
+                    <button onClick={() => handleDuplicateQuizSet(set)} style={{ cursor: "pointer" }}>複製</button>
+                    <button onClick={() => handleDeleteQuizSet(set)} disabled={set.id === setId} style={{ cursor: "pointer", color: "#e74c3c" }}>削除</button>
+                  </div>
+                ))}
+            </div>
+            <button onClick={handleCreateQuizSet} style={{ marginTop: 12, padding: "10px 16px", borderRadius: 8, cursor: "pointer", background: "#16a085", color: "#fff", border: "none" }}>
+              ＋ 新しいクイズセットを作成
+            </button>
+          </div>
+        </div>
+      )}
+
       {settingsOpen && (
         <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.8)", display: "flex", alignItems: "center", justifyContent: "center", padding: 24, zIndex: 200 }}>
           <div style={{ width: "90vw", height: "90vh", background: "white", color: "black", borderRadius: 12, padding: 24, display: "flex", flexDirection: "column" }}>
@@ -593,9 +4164,79 @@ export default function QuizGame() {
             </div>
             
             <div style={{ flex: 1, overflowY: "auto", paddingRight: 8 }}>
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>盤面サイズ</h3>
+                <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 12 }}>
+                  <label style={{ fontWeight: "bold" }}>
+                    ジャンル数（列）:
+                    <select value={board.cols} onChange={(e) => resizeBoard(Number(e.target.value), board.rows)} style={{ marginLeft: 8, padding: 8 }}>
+                      {Array.from({ length: MAX_BOARD_COLS }, (_, n) => <option key={n} value={n + 1}>{n + 1}</option>)}
+                    </select>
+                  </label>
+                  <label style={{ fontWeight: "bold" }}>
+                    行数:
+                    <select value={board.rows} onChange={(e) => resizeBoard(board.cols, Number(e.target.value))} style={{ marginLeft: 8, padding: 8 }}>
+                      {Array.from({ length: MAX_BOARD_ROWS }, (_, n) => <option key={n} value={n + 1}>{n + 1}</option>)}
+                    </select>
+                  </label>
+                </div>
+                <label style={{ display: "block", fontWeight: "bold", marginBottom: 4 }}>行ごとの得点:</label>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  {board.rowScores.map((v, r) => (
+                    <label key={r} style={{ fontSize: 14 }}>
+                      {r + 1}行目
+                      <input type="number" step={10} value={v} onChange={(e) => updateRowScore(r, Number(e.target.value))} style={{ width: 80, marginLeft: 4, padding: 4 }} />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>チーム ({groups.length}チーム)</h3>
+                <div style={{ display: "flex", flexDirection: "column", gap: 8, marginBottom: 12 }}>
+                  {groups.map((g) => (
+                    <div key={g.id}>
+                      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                        <input type="color" value={g.color} onChange={(e) => updateGroup(g.id, "color", e.target.value)} style={{ width: 40, height: 32, padding: 0, border: "none" }} />
+                        <input value={g.label} onChange={(e) => updateGroup(g.id, "label", e.target.value)} style={{ flex: 1, padding: 8 }} />
+                        <input
+                          readOnly
+                          value={g.buzzKey ? buzzKeyLabel(g.buzzKey) : ""}
+                          placeholder="キーを押す"
+                          title="早押しキー（入力欄を選んでキーを押してください。Backspaceで解除）"
+                          onKeyDown={(e) => {
+                            if (e.key === "Tab") return;
+                            e.preventDefault();
+                            updateGroup(g.id, "buzzKey", e.key === "Backspace" || e.key === "Delete" ? "" : normalizeBuzzKey(e.key));
+                          }}
+                          style={{ width: 90, padding: 8, textAlign: "center" }}
+                        />
+                        <span style={{ width: 80, textAlign: "right", color: "#666" }}>{scores[g.id] || 0}点</span>
+                        <button onClick={() => removeGroup(g.id)} disabled={groups.length <= 1} style={{ padding: "6px 12px", cursor: "pointer" }}>削除</button>
+                      </div>
+                      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 4, marginTop: 4, marginLeft: 48, fontSize: 14 }}>
+                        <span style={{ color: "#666" }}>メンバー:</span>
+                        {(g.players || []).map((pl) => (
+                          <span key={pl.id} style={{ display: "inline-flex", alignItems: "center", border: "1px solid #ccc", borderRadius: 4, background: "white" }}>
+                            <input value={pl.name} onChange={(e) => renamePlayer(g.id, pl.id, e.target.value)} style={{ width: 90, padding: 4, border: "none" }} />
+                            <button onClick={() => removePlayer(g.id, pl.id)} title="メンバーを削除" style={{ border: "none", background: "none", cursor: "pointer", color: "#999" }}>×</button>
+                          </span>
+                        ))}
+                        <button onClick={() => addPlayer(g.id)} style={{ padding: "2px 8px", cursor: "pointer" }}>＋ メンバー</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <button onClick={addGroup} disabled={groups.length >= MAX_GROUPS} style={{ padding: "8px 16px", cursor: "pointer" }}>＋ チームを追加</button>
+                <label style={{ display: "block", marginTop: 12 }}>
+                  <input type="checkbox" checked={settings.buzzerEnabled} onChange={(e) => setSettings((prev) => ({ ...prev, buzzerEnabled: e.target.checked }))} style={{ marginRight: 8 }} />
+                  早押しモード（各チームのキーやUSB早押しボタンで解答権を取る）
+                </label>
+              </div>
+
               <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
                 <h3>ジャンル名</h3>
-                <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 8 }}>
+                <div style={{ display: "grid", gridTemplateColumns: `repeat(${board.cols}, 1fr)`, gap: 8 }}>
                   {genres.map((g, i) => (
                     <input key={i} value={g} onChange={(e) => updateGenre(i, e.target.value)} style={{ flex: 1, padding: 8 }} />
                   ))}
@@ -603,13 +4244,447 @@ export default function QuizGame() {
               </div>
 
               <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
-                <h3>正解効果音 (永続保存されます)</h3>
-                <input type="file" accept="audio/*" onChange={handleCorrectSoundUpload} />
-                {correctSoundUrl && <span style={{ color: "green", marginLeft: 8 }}>✓ アップロード済み</span>}
+                <h3>効果音 (永続保存されます)</h3>
+                <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 12 }}>
+                  <label>
+                    音量:
+                    <input type="range" min={0} max={1} step={0.05} value={settings.soundVolume} onChange={(e) => setSettings((prev) => ({ ...prev, soundVolume: Number(e.target.value) }))} style={{ marginLeft: 8, verticalAlign: "middle" }} />
+                    <span style={{ marginLeft: 4 }}>{Math.round(settings.soundVolume * 100)}%</span>
+                  </label>
+                  <label>
+                    <input type="checkbox" checked={settings.soundMuted} onChange={(e) => setSettings((prev) => ({ ...prev, soundMuted: e.target.checked }))} style={{ marginRight: 8 }} />
+                    ミュート
+                  </label>
+                </div>
+                <p style={{ margin: "0 0 8px 0", fontSize: 14, color: "#666" }}>アップロードしていない効果音は、内蔵の合成音が鳴ります。</p>
+                {SOUND_EFFECTS.map((effect) => (
+                  <div key={effect.id} style={{ padding: "8px 0", borderTop: "1px solid #eee" }}>
+                    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12 }}>
+                      <span style={{ width: 120, fontWeight: "bold" }}>{effect.label}</span>
+                      <button onClick={() => playSound(effect.id)} style={{ cursor: "pointer" }}>▶ 試聴</button>
+                      <input type="file" accept="audio/*" onChange={(e) => handleSoundUpload(e, effect)} />
+                      {soundUrls[effect.id] ? (
+                        <>
+                          <span style={{ color: "green" }}>✓ アップロード済み</span>
+                          <button onClick={() => removeSound(effect)} style={{ cursor: "pointer" }}>合成音に戻す</button>
+                        </>
+                      ) : (
+                        <span style={{ fontSize: 12, color: "#666" }}>合成音</span>
+                      )}
+                    </div>
+                    <AudioRecorder onSave={(blob) => saveSound(effect, blob)} />
+                  </div>
+                ))}
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>解答の進め方</h3>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16, marginBottom: 16 }}>
+                  <select value={settings.answerFlow} onChange={(e) => setSettings((prev) => ({ ...prev, answerFlow: e.target.value }))} style={{ padding: 8 }}>
+                    {ANSWER_FLOWS.map((f) => (
+                      <option key={f.id} value={f.id}>{f.label}</option>
+                    ))}
+                  </select>
+                  {settings.answerFlow === "steal" && (
+                    <label>
+                      スティールで正解したときの得点: パネルの
+                      <input type="number" min={0} max={100} step={10} value={settings.stealPercent} onChange={(e) => setSettings((prev) => ({ ...prev, stealPercent: Math.min(100, Math.max(0, Number(e.target.value))) }))} style={{ width: 60, margin: "0 4px", padding: 4 }} />
+                      %
+                    </label>
+                  )}
+                </div>
+                {settings.answerFlow === "steal" && settings.buzzerEnabled && (
+                  <p style={{ margin: "0 0 16px 0", fontSize: 14, color: "#e67e22" }}>早押しモードがオンの間は、早押しの順番で解答権が移ります。</p>
+                )}
+
+                <h3>不正解時の減点</h3>
+                <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
+                  <select value={settings.penaltyMode} onChange={(e) => setSettings((prev) => ({ ...prev, penaltyMode: e.target.value }))} style={{ padding: 8 }}>
+                    {PENALTY_MODES.map((m) => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                  {settings.penaltyMode === "fixed" && (
+                    <label>
+                      <input type="number" min={0} step={10} value={settings.penaltyFixed} onChange={(e) => setSettings((prev) => ({ ...prev, penaltyFixed: Math.abs(Number(e.target.value)) }))} style={{ width: 80, marginRight: 4, padding: 4 }} />
+                      点
+                    </label>
+                  )}
+                </div>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>スマホ解答</h3>
+                <label style={{ display: "block", marginBottom: 8 }}>
+                  <input type="checkbox" checked={settings.answerServerEnabled} onChange={(e) => setSettings((prev) => ({ ...prev, answerServerEnabled: e.target.checked }))} style={{ marginRight: 8 }} />
+                  ローカルサーバーに接続して、各チームのスマホから解答を受け付ける
+                </label>
+                {settings.answerServerEnabled && (
+                  <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+                    接続先:
+                    <input value={settings.answerServerUrl} onChange={(e) => setSettings((prev) => ({ ...prev, answerServerUrl: e.target.value.trim() }))} style={{ width: 260, padding: 4 }} />
+                    <span style={{ color: ANSWER_SERVER_STATUS[answerServerStatus].color, fontWeight: "bold" }}>● {ANSWER_SERVER_STATUS[answerServerStatus].label}</span>
+                  </div>
+                )}
+                {settings.answerServerEnabled && (
+                  <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 14 }}>
+                    参加コード:
+                    {groups.map((g) => (
+                      <span key={g.id} style={{ padding: "2px 10px", borderRadius: 12, background: g.color, color: "white", fontWeight: "bold" }}>
+                        {g.label} {settings.answerJoinCodes[g.id] || "…"}
+                      </span>
+                    ))}
+                    <button onClick={regenerateJoinCodes} style={{ padding: "2px 8px", cursor: "pointer" }}>作り直す</button>
+                  </div>
+                )}
+                <p style={{ margin: 0, fontSize: 14, color: "#666" }}>
+                  このPCで <code>npm run answer-server</code> を実行し、表示されたURLを会場のWi-Fiにつないだスマホで開いてください。
+                  スマホでチームを選び、そのチームの参加コードを入力すると解答できます（1チームにつきスマホ1台）。
+                  全チーム同時に解答する選択式・○×の問題で使えます（早押しモード・スティールの間は受け付けません）。
+                </p>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>スナップショット（バックアップ）</h3>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16, marginBottom: 8 }}>
+                  <label>
+                    自動保存の間隔:
+                    <select value={settings.snapshotMinutes} onChange={(e) => setSettings((prev) => ({ ...prev, snapshotMinutes: Number(e.target.value) }))} style={{ marginLeft: 8, padding: 4 }}>
+                      {SNAPSHOT_INTERVALS.map((m) => <option key={m} value={m}>{m === 0 ? "しない" : `${m}分ごと`}</option>)}
+                    </select>
+                  </label>
+                  <button onClick={() => takeSnapshot("手動")} style={{ padding: "4px 12px", cursor: "pointer" }}>今の状態を保存</button>
+                </div>
+                <div style={{ maxHeight: 200, overflowY: "auto", marginBottom: 8, border: "1px solid #ddd", borderRadius: 4 }}>
+                  {snapshots.length === 0 && <p style={{ margin: 8, color: "#666", fontSize: 14 }}>まだスナップショットはありません。</p>}
+                  {snapshots.map((snap) => (
+                    <div key={snap.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 8px", borderBottom: "1px solid #eee", fontSize: 14 }}>
+                      <span style={{ width: 150 }}>{new Date(snap.at).toLocaleString()}</span>
+                      <span style={{ width: 90, color: "#666" }}>{snap.reason}</span>
+                      <span style={{ flex: 1, color: "#666", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{describeSnapshot(snap)}</span>
+                      <button onClick={() => rollbackToSnapshot(snap)} style={{ padding: "2px 8px", cursor: "pointer" }}>この時点に戻す</button>
+                    </div>
+                  ))}
+                </div>
+                <p style={{ margin: 0, fontSize: 14, color: "#666" }}>
+                  得点・パネル・問題・チーム・設定を最大{MAX_SNAPSHOTS}件まで残します（音源・画像・動画は含みません）。出題中の問題は再読み込みしても自動で復元されます。
+                </p>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>キーボード・リモコン操作</h3>
+                <div>
+                  {SHORTCUT_ACTIONS.map((a) => (
+                    <div key={a.id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4, fontSize: 14 }}>
+                      <span style={{ width: 320 }}>{a.label}</span>
+                      {shortcutKeys(settings, a.id).map((k) => (
+                        <span key={k} style={{ display: "inline-flex", alignItems: "center", padding: "2px 6px", border: "1px solid #999", borderRadius: 4, background: "white" }}>
+                          {shortcutKeyLabel(k)}
+                          {groups.some((g) => g.buzzKey === k) && <span title="早押しキーと同じです（早押しの受付中は早押しが優先）" style={{ marginLeft: 4, color: "#e67e22" }}>⚠</span>}
+                          <button onClick={() => unbindShortcutKey(a.id, k)} title="割り当てを解除" style={{ border: "none", background: "none", cursor: "pointer", color: "#999" }}>×</button>
+                        </span>
+                      ))}
+                      <input
+                        readOnly
+                        value=""
+                        placeholder="＋ キーを押す"
+                        onKeyDown={(e) => {
+                          if (e.key === "Tab" || ["Shift", "Control", "Alt", "Meta"].includes(e.key)) return;
+                          e.preventDefault();
+                          bindShortcutKey(a.id, normalizeBuzzKey(e.key));
+                        }}
+                        style={{ width: 100, padding: 4, textAlign: "center" }}
+                      />
+                    </div>
+                  ))}
+                  <button onClick={() => setSettings((prev) => ({ ...prev, keyBindings: {} }))} style={{ marginTop: 4, padding: "4px 12px", cursor: "pointer" }}>初期設定に戻す</button>
+                  <p style={{ margin: "8px 0 0", fontSize: 14, color: "#666" }}>
+                    プレゼンター用リモコンの「次へ / 戻る」ボタンは、多くの機種で PgDn / PgUp として届きます。正解発表中は数字キーでチームを切り替えられます。
+                  </p>
+                </div>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>制限時間タイマー</h3>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16 }}>
+                  <label>
+                    制限時間（全体）:
+                    <input type="number" min={0} value={settings.timerSeconds} onChange={(e) => setSettings((prev) => ({ ...prev, timerSeconds: Math.max(0, Number(e.target.value)) }))} style={{ width: 70, marginLeft: 8, padding: 4 }} />
+                    秒（0 = なし）
+                  </label>
+                  <label>
+                    警告音:
+                    残り<input type="number" min={0} value={settings.timerWarningSeconds} onChange={(e) => setSettings((prev) => ({ ...prev, timerWarningSeconds: Math.max(0, Number(e.target.value)) }))} style={{ width: 60, margin: "0 4px", padding: 4 }} />秒から
+                  </label>
+                  <label>
+                    <input type="checkbox" checked={settings.timerAutoReveal} onChange={(e) => setSettings((prev) => ({ ...prev, timerAutoReveal: e.target.checked }))} style={{ marginRight: 8 }} />
+                    時間切れで正解発表へ進む
+                  </label>
+                </div>
+                <p style={{ margin: "8px 0 0 0", fontSize: 14, color: "#666" }}>選択肢が表示された時点でスタートします（イントロ問題は再生を止めてから）。問題ごとの制限時間は問題編集で変更できます。</p>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>イントロの段階再生</h3>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16 }}>
+                  <label>
+                    <input type="checkbox" checked={settings.introStaged} onChange={(e) => setSettings((prev) => ({ ...prev, introStaged: e.target.checked }))} style={{ marginRight: 8 }} />
+                    「{INTRO_STAGES.map((st) => st.label).join(" → ")}」のボタンで少しずつ再生する
+                  </label>
+                  {settings.introStaged && (
+                    <label>
+                      段階が進むごとに得点を
+                      <input type="number" min={0} max={100} step={5} value={settings.introStageDecay} onChange={(e) => setSettings((prev) => ({ ...prev, introStageDecay: Math.min(100, Math.max(0, Number(e.target.value))) }))} style={{ width: 60, margin: "0 4px", padding: 4 }} />
+                      %減らす（0 = 減らさない）
+                    </label>
+                  )}
+                </div>
+                <p style={{ margin: "8px 0 0 0", fontSize: 14, color: "#666" }}>オフのときは、問題を開くとすぐに再生区間をループ再生します。再生区間（開始位置・長さ・フェードアウト）は問題編集で設定できます。</p>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>クイズパック（書き出し / 読み込み）</h3>
+                <p style={{ margin: "0 0 8px 0", fontSize: 14, color: "#666" }}>ジャンル名・問題・アップロードした音源・画像・動画を1つのファイルにまとめて、別のPCへ持ち運べます。</p>
+                <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
+                  <button onClick={exportQuizPack} style={{ padding: "8px 16px", cursor: "pointer" }}>書き出し</button>
+                  <label style={{ fontWeight: "bold" }}>
+                    読み込み:
+                    <input type="file" accept=".json,application/json" onChange={importQuizPack} style={{ marginLeft: 8 }} />
+                  </label>
+                </div>
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f9f9f9", borderRadius: 8 }}>
+                <h3>問題の一括読み込み（CSV / TSV）</h3>
+                <p style={{ margin: "0 0 8px 0", fontSize: 14, color: "#666" }}>
+                  表計算ソフトの表を貼り付けるか、CSV / TSV ファイルを選んでください。1行が1問で、列は「ジャンル・問題文・選択肢A〜D・正解・得点」です（1行目に見出しがあれば列名で対応し、選択肢E・Fも使えます）。
+                  正解は A〜F・1〜6・選択肢の文字列のどれでも指定できます。選択肢を空欄にすると記述問題になり、正解の列が模範解答になります。
+                </p>
+                <textarea
+                  value={bulkText}
+                  onChange={(e) => setBulkText(e.target.value)}
+                  placeholder={"ジャンル\t問題文\t選択肢A\t選択肢B\t選択肢C\t選択肢D\t正解\t得点"}
+                  style={{ width: "100%", height: 80, padding: 8, fontFamily: "monospace" }}
+                />
+                <div style={{ display: "flex", alignItems: "center", gap: 16, marginTop: 8 }}>
+                  <button onClick={() => analyzeBulkText(bulkText)} disabled={!bulkText.trim()} style={{ padding: "8px 16px", cursor: "pointer" }}>貼り付けた内容を確認</button>
+                  <label>
+                    ファイル:
+                    <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={handleBulkFile} style={{ marginLeft: 8 }} />
+                  </label>
+                </div>
+
+                {bulkImport && (() => {
+                  const items = parseImportRows(bulkImport.rows, bulkImport.mapping, bulkImport.hasHeader);
+                  const layout = layoutImportedRows(items);
+                  const errorCount = items.filter((item) => item.errors.length > 0).length;
+                  const columnCount = Math.max(...bulkImport.rows.map((r) => r.length));
+                  const columnName = (c) => (bulkImport.hasHeader ? bulkImport.rows[0][c] || `${c + 1}列目` : `${c + 1}列目`);
+                  return (
+                    <div style={{ marginTop: 12, padding: 12, background: "#fff", border: "1px solid #ddd", borderRadius: 8 }}>
+                      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12, marginBottom: 8, fontSize: 14 }}>
+                        <label>
+                          <input type="checkbox" checked={bulkImport.hasHeader} onChange={(e) => setBulkImport((prev) => ({ ...prev, hasHeader: e.target.checked }))} style={{ marginRight: 4 }} />
+                          1行目は見出し
+                        </label>
+                        {IMPORT_FIELDS.map((f) => (
+                          <label key={f.id}>
+                            {f.label}:
+                            <select
+                              value={bulkImport.mapping[f.id] ?? ""}
+                              onChange={(e) => setBulkImport((prev) => ({ ...prev, mapping: { ...prev.mapping, [f.id]: e.target.value === "" ? null : Number(e.target.value) } }))}
+                              style={{ marginLeft: 4 }}
+                            >
+                              <option value="">（なし）</option>
+                              {Array.from({ length: columnCount }, (_, c) => <option key={c} value={c}>{columnName(c)}</option>)}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+
+                      <div style={{ maxHeight: 240, overflow: "auto", border: "1px solid #eee" }}>
+                        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                          <thead>
+                            <tr style={{ background: "#eee" }}>
+                              <th style={{ padding: 4 }}>行</th>
+                              <th style={{ padding: 4 }}>ジャンル</th>
+                              <th style={{ padding: 4 }}>問題文</th>
+                              <th style={{ padding: 4 }}>選択肢</th>
+                              <th style={{ padding: 4 }}>正解</th>
+                              <th style={{ padding: 4 }}>得点</th>
+                              <th style={{ padding: 4 }}>エラー</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {items.map((item) => (
+                              <tr key={item.line} style={{ background: item.errors.length > 0 ? "#ffebee" : "transparent", borderTop: "1px solid #eee" }}>
+                                <td style={{ padding: 4 }}>{item.line}</td>
+                                <td style={{ padding: 4 }}>{item.genre}</td>
+                                <td style={{ padding: 4 }}>{item.question}</td>
+                                <td style={{ padding: 4 }}>{item.answerFormat === "open" ? "（記述）" : item.choices.join(" / ")}</td>
+                                <td style={{ padding: 4 }}>{item.answerFormat === "open" ? item.openAnswer : item.answer !== null ? choiceLabel(item.answer) : "-"}</td>
+                                <td style={{ padding: 4 }}>{item.score ?? "（行の既定値）"}</td>
+                                <td style={{ padding: 4, color: "#c62828" }}>{item.errors.join("、")}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+
+                      {[...layout.errors, ...layout.warnings].map((m) => (
+                        <div key={m} style={{ marginTop: 4, fontSize: 14, color: layout.errors.includes(m) ? "#c62828" : "#e67e22" }}>{m}</div>
+                      ))}
+                      <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 8 }}>
+                        <span style={{ fontSize: 14 }}>
+                          {items.length} 行中 {errorCount > 0 ? <strong style={{ color: "#c62828" }}>{errorCount} 行にエラーがあります</strong> : "エラーはありません"}
+                        </span>
+                        <label style={{ fontSize: 14 }}>
+                          <input type="checkbox" checked={bulkImport.keepMedia} onChange={(e) => setBulkImport((prev) => ({ ...prev, keepMedia: e.target.checked }))} style={{ marginRight: 4 }} />
+                          同じ位置の音源・画像・動画を引き継ぐ
+                        </label>
+                        <button
+                          onClick={() => applyBulkImport(items, layout, bulkImport.keepMedia)}
+                          disabled={items.length === 0 || errorCount > 0 || layout.errors.length > 0}
+                          style={{ padding: "8px 16px", cursor: "pointer", fontWeight: "bold" }}
+                        >
+                          {layout.cols}ジャンル × {layout.rows}問 の盤面として読み込む
+                        </button>
+                        <button onClick={() => setBulkImport(null)} style={{ padding: "8px 16px", cursor: "pointer" }}>やめる</button>
+                      </div>
+                    </div>
+                  );
+                })()}
+              </div>
+
+              <div style={{ marginBottom: 24, padding: 16, background: "#f3e5f5", borderRadius: 8 }}>
+                <h3>ファイナル問題</h3>
+                <p style={{ margin: "0 0 8px 0", fontSize: 14, color: "#666" }}>全パネル終了後（または「ファイナル」ボタン）に出題します。カテゴリを発表 → 各チームが賭け金を入力 → 出題 → 1チームずつ判定、の順に進みます。</p>
+                <div style={{ marginBottom: 12 }}>
+                  <label style={{ fontWeight: "bold", marginRight: 8 }}>カテゴリ:</label>
+                  <input value={finalProblem.category} onChange={(e) => setFinalProblem((prev) => ({ ...prev, category: e.target.value }))} style={{ width: 300, padding: 8 }} />
+                </div>
+                <div style={{ marginBottom: 12 }}>
+                  <label style={{ display: "block", fontWeight: "bold" }}>問題文:</label>
+                  <textarea
+                    style={{ width: "100%", height: 60, padding: 8 }}
+                    value={finalProblem.question}
+                    onChange={(e) => setFinalProblem((prev) => ({ ...prev, question: e.target.value }))}
+                  />
+                </div>
+                <div style={{ marginBottom: 12 }}>
+                  <label style={{ display: "block", fontWeight: "bold" }}>司会者メモ（観客画面には表示されません）:</label>
+                  <textarea
+                    style={{ width: "100%", height: 40, padding: 8 }}
+                    value={finalProblem.note || ""}
+                    onChange={(e) => setFinalProblem((prev) => ({ ...prev, note: e.target.value }))}
+                  />
+                </div>
+                <div style={{ marginBottom: 12 }}>
+                  <label style={{ fontWeight: "bold" }}>
+                    選択肢の数:
+                    <ChoiceCountSelect value={finalProblem.choices.length} onChange={(count) => setFinalProblem((prev) => resizeChoices(prev, count))} />
+                  </label>
+                </div>
+                <div style={{ marginBottom: 12 }}>
+                  <label style={{ display: "block", fontWeight: "bold" }}>選択肢 ({finalProblem.choices.length}つ):</label>
+                  <ChoiceInputs
+                    choices={finalProblem.choices}
+                    onChange={(cIdx, value) => setFinalProblem((prev) => ({ ...prev, choices: prev.choices.map((x, j) => (j === cIdx ? value : x)) }))}
+                  />
+                </div>
+                <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
+                  <div>
+                    <label style={{ fontWeight: "bold", marginRight: 8 }}>正解:</label>
+                    <select value={finalProblem.answer} onChange={(e) => setFinalProblem((prev) => ({ ...prev, answer: Number(e.target.value) }))} style={{ padding: 8 }}>
+                      {finalProblem.choices.map((c, idx) => (
+                        <option key={idx} value={idx}>{choiceLabel(idx)}: {c}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label style={{ fontWeight: "bold", marginRight: 8 }}>制限時間:</label>
+                    <input
+                      type="number"
+                      min={0}
+                      value={finalProblem.timeLimit}
+                      onChange={(e) => setFinalProblem((prev) => ({ ...prev, timeLimit: Math.max(0, Number(e.target.value)) }))}
+                      style={{ width: 80, padding: 8 }}
+                    />
+                    <span style={{ marginLeft: 4 }}>秒（0 = タイマーなし）</span>
+                  </div>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
+                <h3>問題編集 (全{problems.length}問)</h3>
+                <button onClick={() => setProblemTableView((v) => !v)} style={{ cursor: "pointer" }}>
+                  {problemTableView ? "1問ずつ編集する" : "表形式でまとめて編集する"}
+                </button>
               </div>
 
-              <h3>問題編集 (全25問)</h3>
-              <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 8, marginBottom: 16 }}>
+              {problemTableView && (
+                <div style={{ overflowX: "auto", marginBottom: 16 }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                    <thead>
+                      <tr style={{ background: "#eee" }}>
+                        <th style={{ padding: 4 }}>#</th>
+                        <th style={{ padding: 4 }}>ジャンル</th>
+                        <th style={{ padding: 4 }}>得点</th>
+                        <th style={{ padding: 4 }}>形式</th>
+                        <th style={{ padding: 4, minWidth: 240 }}>問題文</th>
+                        <th style={{ padding: 4 }}>解答形式</th>
+                        <th style={{ padding: 4 }}>選択肢 / 模範解答</th>
+                        <th style={{ padding: 4 }}>正解</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {problems.map((p, i) => (
+                        <tr key={p.id} style={{ borderTop: "1px solid #ddd" }}>
+                          <td style={{ padding: 4 }}>{i + 1}</td>
+                          <td style={{ padding: 4, whiteSpace: "nowrap" }}>{genres[i % board.cols]}</td>
+                          <td style={{ padding: 4 }}>
+                            <input type="number" min={0} step={10} value={p.score} onChange={(e) => updateProblem(i, "score", Math.max(0, Number(e.target.value)))} style={{ width: 64 }} />
+                          </td>
+                          <td style={{ padding: 4 }}>
+                            <select value={p.type} onChange={(e) => updateProblem(i, "type", e.target.value)}>
+                              {QUESTION_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                            </select>
+                          </td>
+                          <td style={{ padding: 4 }}>
+                            <input value={p.question} onChange={(e) => updateProblem(i, "question", e.target.value)} style={{ width: "100%", boxSizing: "border-box" }} />
+                          </td>
+                          <td style={{ padding: 4 }}>
+                            <select value={p.answerFormat || "choice"} onChange={(e) => changeAnswerFormat(i, e.target.value)}>
+                              {ANSWER_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+                            </select>
+                          </td>
+                          <td style={{ padding: 4, whiteSpace: "nowrap" }}>
+                            {p.answerFormat === "open" ? (
+                              <input value={p.openAnswer || ""} onChange={(e) => updateProblem(i, "openAnswer", e.target.value)} placeholder="模範解答" style={{ width: 200 }} />
+                            ) : p.answerFormat === "truefalse" ? (
+                              <span>{TRUE_FALSE_CHOICES.join(" / ")}</span>
+                            ) : (
+                              p.choices.map((c, cIdx) => (
+                                <input key={cIdx} value={c} onChange={(e) => updateChoice(i, cIdx, e.target.value)} placeholder={choiceLabel(cIdx)} style={{ width: 90, marginRight: 2 }} />
+                              ))
+                            )}
+                          </td>
+                          <td style={{ padding: 4 }}>
+                            {p.answerFormat !== "open" && (
+                              <select value={p.answer} onChange={(e) => updateProblem(i, "answer", Number(e.target.value))}>
+                                {p.choices.map((c, idx) => <option key={idx} value={idx}>{p.answerFormat === "truefalse" ? c : choiceLabel(idx)}</option>)}
+                              </select>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {!problemTableView && (
+              <div style={{ display: "grid", gridTemplateColumns: `repeat(${board.cols}, 1fr)`, gap: 8, marginBottom: 16 }}>
                  {problems.map((p, i) => (
                    <button 
                      key={i} 
@@ -622,15 +4697,29 @@ export default function QuizGame() {
                        cursor: "pointer"
                      }}
                    >
-                     {i + 1}. {p.score}pt
+                     {i + 1}. {p.score}pt{p.bonus && " ★"}
                    </button>
                  ))}
               </div>
+              )}
 
-              {activeProblem !== null && (
+              {!problemTableView && activeProblem !== null && (
                 <div style={{ border: "2px solid #333", padding: 20, borderRadius: 8, background: "#fff" }}>
                   <h4 style={{ marginTop: 0 }}>問題 {activeProblem + 1} の編集</h4>
                   
+                  <div style={{ marginBottom: 12 }}>
+                    <label style={{ fontWeight:"bold", marginRight: 8 }}>問題形式:</label>
+                    <select
+                      value={problems[activeProblem].type}
+                      onChange={(e) => updateProblem(activeProblem, "type", e.target.value)}
+                      style={{ padding: 8 }}
+                    >
+                      {QUESTION_TYPES.map((t) => (
+                        <option key={t.id} value={t.id}>{t.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
                   <div style={{ marginBottom: 12 }}>
                     <label style={{display:"block", fontWeight:"bold"}}>問題文:</label>
                     <textarea 
@@ -641,44 +4730,156 @@ export default function QuizGame() {
                   </div>
 
                   <div style={{ marginBottom: 12 }}>
-                    <label style={{display:"block", fontWeight:"bold"}}>選択肢 (4つ):</label>
-                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-                      {problems[activeProblem].choices.map((c, cIdx) => (
-                        <input 
-                          key={cIdx}
-                          value={c}
-                          onChange={(e) => updateChoice(activeProblem, cIdx, e.target.value)}
-                          placeholder={`選択肢 ${["A","B","C","D"][cIdx]}`}
-                          style={{ padding: 8 }}
-                        />
-                      ))}
-                    </div>
+                    <label style={{display:"block", fontWeight:"bold"}}>司会者メモ（観客画面には表示されません）:</label>
+                    <textarea 
+                      style={{ width: "100%", height: 40, padding: 8 }} 
+                      value={problems[activeProblem].note || ""}
+                      onChange={(e) => updateProblem(activeProblem, "note", e.target.value)}
+                    />
                   </div>
 
                   <div style={{ marginBottom: 12, display: "flex", alignItems: "center", gap: 16 }}>
-                    <div>
-                      <label style={{ fontWeight:"bold", marginRight: 8 }}>正解:</label>
-                      <select 
-                        value={problems[activeProblem].answer} 
-                        onChange={(e) => updateProblem(activeProblem, "answer", Number(e.target.value))}
-                        style={{ padding: 8 }}
+                    <label style={{ fontWeight:"bold" }}>
+                      解答形式:
+                      <select
+                        value={problems[activeProblem].answerFormat || "choice"}
+                        onChange={(e) => changeAnswerFormat(activeProblem, e.target.value)}
+                        style={{ marginLeft: 8, padding: 8 }}
                       >
-                        {problems[activeProblem].choices.map((_, idx) => (
-                          <option key={idx} value={idx}>
-                            {["A","B","C","D"][idx]}
-                          </option>
-                        ))}
+                        {ANSWER_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
                       </select>
+                    </label>
+                    {(problems[activeProblem].answerFormat || "choice") === "choice" && (
+                      <label style={{ fontWeight:"bold" }}>
+                        選択肢の数:
+                        <ChoiceCountSelect value={problems[activeProblem].choices.length} onChange={(count) => changeChoiceCount(activeProblem, count)} />
+                      </label>
+                    )}
+                  </div>
+
+                  {problems[activeProblem].answerFormat === "open" ? (
+                    <div style={{ marginBottom: 12 }}>
+                      <label style={{display:"block", fontWeight:"bold"}}>模範解答（正解発表で表示されます）:</label>
+                      <input
+                        value={problems[activeProblem].openAnswer || ""}
+                        onChange={(e) => updateProblem(activeProblem, "openAnswer", e.target.value)}
+                        style={{ width: "100%", padding: 8, boxSizing: "border-box" }}
+                      />
+                    </div>
+                  ) : problems[activeProblem].answerFormat !== "truefalse" && (
+                    <div style={{ marginBottom: 12 }}>
+                      <label style={{display:"block", fontWeight:"bold"}}>選択肢 ({problems[activeProblem].choices.length}つ):</label>
+                      <ChoiceInputs choices={problems[activeProblem].choices} onChange={(cIdx, value) => updateChoice(activeProblem, cIdx, value)} />
                     </div>
+                  )}
 
-                    {isIntroIndex(activeProblem) && (
+                  <div style={{ marginBottom: 12, display: "flex", alignItems: "center", gap: 16 }}>
+                    {problems[activeProblem].answerFormat !== "open" && (
+                      <div>
+                        <label style={{ fontWeight:"bold", marginRight: 8 }}>正解:</label>
+                        <select 
+                          value={problems[activeProblem].answer} 
+                          onChange={(e) => updateProblem(activeProblem, "answer", Number(e.target.value))}
+                          style={{ padding: 8 }}
+                        >
+                          {problems[activeProblem].choices.map((c, idx) => (
+                            <option key={idx} value={idx}>
+                              {problems[activeProblem].answerFormat === "truefalse" ? c : choiceLabel(idx)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <div>
+                      <label style={{ fontWeight:"bold", marginRight: 8 }}>制限時間:</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={problems[activeProblem].timeLimit ?? ""}
+                        placeholder={`全体設定（${settings.timerSeconds ? `${settings.timerSeconds}秒` : "なし"}）`}
+                        onChange={(e) => updateProblem(activeProblem, "timeLimit", e.target.value === "" ? null : Math.max(0, Number(e.target.value)))}
+                        style={{ width: 150, padding: 8 }}
+                      />
+                      <span style={{ marginLeft: 4 }}>秒</span>
+                    </div>
+
+                    <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(problems[activeProblem].bonus)}
+                        onChange={(e) => updateProblem(activeProblem, "bonus", e.target.checked)}
+                      />
+                      <span style={{ fontWeight: "bold" }}>★ ボーナスパネル</span>
+                      <span style={{ fontSize: 12, color: "#666" }}>（開くまで観客には分かりません。解答チームが持ち点から賭け金を決め、正解で加算・不正解で減点します）</span>
+                    </label>
+
+                    {isIntroProblem(activeProblem) && (
                       <div style={{ background: "#ffebee", padding: "8px 16px", borderRadius: 8 }}>
                         <label style={{ fontWeight:"bold", marginRight: 8, color: "#c62828" }}>イントロ音源 (永続保存されます):</label>
                         <input type="file" accept="audio/*" onChange={(e) => handleIntroUpload(e, activeProblem)} />
                         {problems[activeProblem].audio && <span style={{fontSize: 12}}>🎵設定済</span>}
+                        <AudioRecorder key={problems[activeProblem].id} onSave={(blob) => saveIntroAudio(activeProblem, blob)} />
                       </div>
                     )}
                   </div>
+
+                  {isIntroProblem(activeProblem) && problems[activeProblem].audio && (
+                    <div style={{ marginBottom: 12, padding: "8px 16px", background: "#ffebee", borderRadius: 8, display: "flex", flexWrap: "wrap", alignItems: "center", gap: 16 }}>
+                      <span style={{ fontWeight: "bold", color: "#c62828" }}>再生区間:</span>
+                      <label>
+                        開始
+                        <input type="number" min={0} step={0.5} value={problems[activeProblem].clipStart || 0} onChange={(e) => updateProblem(activeProblem, "clipStart", Math.max(0, Number(e.target.value)))} style={{ width: 70, margin: "0 4px", padding: 4 }} />
+                        秒
+                      </label>
+                      <label>
+                        長さ
+                        <input type="number" min={0} step={0.5} value={problems[activeProblem].clipLength ?? ""} placeholder="最後まで" onChange={(e) => updateProblem(activeProblem, "clipLength", e.target.value === "" ? null : Math.max(0, Number(e.target.value)))} style={{ width: 80, margin: "0 4px", padding: 4 }} />
+                        秒
+                      </label>
+                      <label>
+                        フェードアウト
+                        <input type="number" min={0} step={0.5} value={problems[activeProblem].fadeOut ?? 1} onChange={(e) => updateProblem(activeProblem, "fadeOut", Math.max(0, Number(e.target.value)))} style={{ width: 60, margin: "0 4px", padding: 4 }} />
+                        秒
+                      </label>
+                      <button onClick={() => previewIntroClip(activeProblem)} style={{ cursor: "pointer" }}>▶ 試聴 / ■ 停止</button>
+                    </div>
+                  )}
+
+                  <div style={{ marginBottom: 12, padding: "8px 16px", background: "#e3f2fd", borderRadius: 8 }}>
+                    <label style={{ display: "block", fontWeight: "bold", marginBottom: 8, color: "#1565c0" }}>画像・動画 (永続保存されます):</label>
+                    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-start", gap: 24 }}>
+                      <div>
+                        <div style={{ marginBottom: 4 }}>画像:</div>
+                        <input type="file" accept="image/*" onChange={(e) => handleProblemMediaUpload(e, activeProblem, "image")} />
+                        {problems[activeProblem].image && (
+                          <div style={{ marginTop: 8 }}>
+                            <img src={problems[activeProblem].image} alt="プレビュー" style={{ maxWidth: 160, maxHeight: 90, display: "block", marginBottom: 4 }} />
+                            <select
+                              value={problems[activeProblem].imageReveal || "none"}
+                              onChange={(e) => updateProblem(activeProblem, "imageReveal", e.target.value)}
+                              style={{ padding: 4, marginRight: 8 }}
+                            >
+                              {IMAGE_REVEAL_MODES.map((m) => (
+                                <option key={m.id} value={m.id}>{m.label}</option>
+                              ))}
+                            </select>
+                            <button onClick={() => removeProblemMedia(activeProblem, "image")} style={{ cursor: "pointer" }}>削除</button>
+                          </div>
+                        )}
+                      </div>
+                      <div>
+                        <div style={{ marginBottom: 4 }}>動画:</div>
+                        <input type="file" accept="video/*" onChange={(e) => handleProblemMediaUpload(e, activeProblem, "video")} />
+                        {problems[activeProblem].video && (
+                          <div style={{ marginTop: 8 }}>
+                            <span style={{ fontSize: 12, marginRight: 8 }}>🎬設定済</span>
+                            <button onClick={() => removeProblemMedia(activeProblem, "video")} style={{ cursor: "pointer" }}>削除</button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </div>
                 </div>
               )}
             </div>
@@ -0,0 +1,322 @@
+import 'fake-indexeddb/auto';
+import {
+  archiveGameSession,
+  deleteQuizSet,
+  duplicateQuizSet,
+  layoutImportedRows,
+  loadGameHistory,
+  loadQuizSets,
+  parseDelimitedText,
+  parseImportRows,
+  replayGameLog,
+  validateQuizPack,
+} from './QuizGame';
+
+const groups = [{ id: 'a' }, { id: 'b' }];
+const award = (problemId, correct, wrong, extra = {}) => ({
+  type: 'award', problemId, correct, wrong, award: 100, penalty: 50, color: '#f00', ...extra,
+});
+const replayAt = (log) => replayGameLog(log.events.slice(0, log.cursor), groups);
+
+describe('replayGameLog', () => {
+  test('award → reopen → undo → redo', () => {
+    const events = [
+      award(1, ['a'], ['b'], { players: { a: 'p1' } }),
+      { type: 'reopen', problemId: 1 },
+    ];
+
+    const awarded = replayAt({ events, cursor: 1 });
+    expect(awarded.scores).toEqual({ a: 100, b: -50 });
+    expect(awarded.panels).toEqual({ 1: { groupId: 'a', color: '#f00' } });
+    expect(awarded.byProblem).toEqual({ a: { 1: 100 }, b: { 1: -50 } });
+    expect(awarded.playerStats).toEqual({ p1: { points: 100, correct: 1, wrong: 0 } });
+
+    const reopened = replayAt({ events, cursor: 2 });
+    expect(reopened.scores).toEqual({ a: 0, b: 0 });
+    expect(reopened.panels).toEqual({});
+    expect(reopened.playerStats).toEqual({ p1: { points: 0, correct: 0, wrong: 0 } });
+
+    // 元に戻す → やり直す は cursor を動かすだけ
+    expect(replayAt({ events, cursor: 1 })).toEqual(awarded);
+    expect(replayAt({ events, cursor: 2 })).toEqual(reopened);
+  });
+
+  test('reopen after a second award only undoes that problem', () => {
+    const { scores, panels } = replayGameLog([
+      award(1, ['a'], []),
+      award(2, ['b'], ['a']),
+      { type: 'reopen', problemId: 2 },
+    ], groups);
+    expect(scores).toEqual({ a: 100, b: 0 });
+    expect(Object.keys(panels)).toEqual(['1']);
+  });
+
+  test('points for a removed team are ignored', () => {
+    const { scores, byProblem, panels } = replayGameLog([
+      award(1, ['a', 'gone'], []),
+      { type: 'adjust', groupId: 'gone', delta: 300, reason: '' },
+    ], groups);
+    expect(scores).toEqual({ a: 100, b: 0 });
+    expect(byProblem).toEqual({ a: { 1: 100 } });
+    expect(panels[1].groupId).toBeNull();
+  });
+
+  test('a snapshot event carries over the migrated scores and panels', () => {
+    const { scores, panels, other, byProblem } = replayGameLog([
+      { type: 'snapshot', scores: { a: 300, b: 100, gone: 50 }, panels: { 3: { groupId: 'a', color: '#f00' } } },
+      award(4, ['b'], []),
+      { type: 'adjust', groupId: 'a', delta: -20, reason: '反則' },
+    ], groups);
+    expect(scores).toEqual({ a: 280, b: 200 });
+    expect(other).toEqual({ a: 280, b: 100 });
+    expect(byProblem).toEqual({ b: { 4: 100 } });
+    expect(panels).toEqual({ 3: { groupId: 'a', color: '#f00' }, 4: { groupId: 'b', color: '#f00' } });
+  });
+
+  test('reset clears everything before it', () => {
+    const result = replayGameLog([award(1, ['a'], []), { type: 'reset' }], groups);
+    expect(result).toEqual({ scores: { a: 0, b: 0 }, panels: {}, byProblem: {}, other: {}, playerStats: {} });
+  });
+});
+
+describe('archiveGameSession', () => {
+  const session = (gameId, events, scores) => ({
+    setId: 'default', setName: 'マイクイズ', reason: 'テスト', gameId, events, groups, scores, playerStats: {},
+    panels: {}, problems: [], genres: [], board: { cols: 5, rows: 5 },
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('each game log gets its own history entry, even without a reset', () => {
+    archiveGameSession(session('game_1', [], { a: 100, b: 0 }));
+    archiveGameSession(session('game_2', [], { a: 0, b: 200 }));
+    expect(loadGameHistory().map((h) => h.teams[0].id)).toEqual(['b', 'a']);
+  });
+
+  test('the same game is overwritten until the next score reset', () => {
+    const reset = { id: 2, type: 'reset', at: '2026-01-01T00:00:00.000Z' };
+    archiveGameSession(session('game_1', [], { a: 100, b: 0 }));
+    archiveGameSession(session('game_1', [], { a: 300, b: 0 }));
+    archiveGameSession(session('game_1', [reset], { a: 0, b: 100 }));
+    expect(loadGameHistory().map((h) => h.teams[0].score)).toEqual([100, 300]);
+  });
+});
+
+describe('parseDelimitedText', () => {
+  test('quoted cells may hold delimiters, newlines and escaped quotes', () => {
+    const text = '\uFEFFジャンル,問題\r\n歴史,"A, B\nC"\n\n理科,"""引用"" です"\n';
+    expect(parseDelimitedText(text)).toEqual([
+      ['ジャンル', '問題'],
+      ['歴史', 'A, B\nC'],
+      ['理科', '"引用" です'],
+    ]);
+  });
+
+  test('a tab in the first line switches to TSV', () => {
+    expect(parseDelimitedText('ジャンル\t問題\n歴史\t"1,2\t3"')).toEqual([
+      ['ジャンル', '問題'],
+      ['歴史', '1,2\t3'],
+    ]);
+  });
+});
+
+const mapping = { genre: 0, question: 1, choiceA: 2, choiceB: 3, choiceC: 4, choiceD: 5, answer: 6, score: 7 };
+const header = ['ジャンル', '問題', 'A', 'B', 'C', 'D', '正解', '得点'];
+
+describe('parseImportRows', () => {
+  test('the answer may be a letter, a number or the choice text', () => {
+    const items = parseImportRows([
+      header,
+      ['歴史', 'Q1', 'a', 'b', 'c', 'd', 'B', '１００'],
+      ['歴史', 'Q2', 'a', 'b', 'c', 'd', '3', ''],
+      ['理科', 'Q3', 'a', 'b', 'c', 'd', 'd', '200'],
+    ], mapping, true);
+
+    expect(items.map((item) => item.errors)).toEqual([[], [], []]);
+    expect(items.map((item) => item.line)).toEqual([2, 3, 4]);
+    expect(items.map((item) => item.answer)).toEqual([1, 2, 3]);
+    expect(items.map((item) => item.score)).toEqual([100, null, 200]);
+  });
+
+  test('rows with no choices are open questions, ○・× rows are true/false', () => {
+    const [open, trueFalse, two] = parseImportRows([
+      ['歴史', 'Q1', '', '', '', '', '模範解答', ''],
+      ['理科', 'Q2', '○', '×', '', '', '○', '200'],
+      ['理科', 'Q3', 'はい', 'いいえ', '', '', 'B', ''],
+    ], mapping, false);
+
+    expect([open.errors, trueFalse.errors, two.errors]).toEqual([[], [], []]);
+    expect(open).toMatchObject({ answerFormat: 'open', openAnswer: '模範解答', score: null });
+    expect(trueFalse).toMatchObject({ answerFormat: 'truefalse', choices: ['○', '×'], answer: 0, score: 200 });
+    expect(two).toMatchObject({ answerFormat: 'choice', choices: ['はい', 'いいえ'], answer: 1 });
+  });
+
+  test('error rows list every problem found', () => {
+    const [missing, gap, noModelAnswer] = parseImportRows([
+      ['', '', 'a', '', '', '', 'Z', 'abc'],
+      ['歴史', 'Q', 'a', '', 'c', '', '2', ''],
+      ['歴史', 'Q', '', '', '', '', '', ''],
+    ], mapping, false);
+
+    expect(missing.line).toBe(1);
+    expect(missing.errors).toEqual([
+      'ジャンルがありません',
+      '問題文がありません',
+      '選択肢は 2 つ以上必要です',
+      '正解「Z」が選択肢と一致しません（A〜F・1〜6・選択肢の文字列で指定）',
+      '得点「abc」が数値ではありません',
+    ]);
+    expect(gap.errors).toEqual(['選択肢Bが空欄です']);
+    expect(noModelAnswer.errors).toEqual(['記述問題の模範解答（正解の列）がありません']);
+  });
+});
+
+describe('layoutImportedRows', () => {
+  test('one column per genre in order of appearance', () => {
+    const items = parseImportRows([
+      ['歴史', 'Q1', 'a', 'b', 'c', 'd', 'A', ''],
+      ['理科', 'Q2', 'a', 'b', 'c', 'd', 'A', ''],
+      ['歴史', 'Q3', 'a', 'b', 'c', 'd', 'B', ''],
+    ], mapping, false);
+    const layout = layoutImportedRows(items);
+
+    expect(layout.genres).toEqual(['歴史', '理科']);
+    expect(layout.columns.map((col) => col.map((item) => item.question))).toEqual([['Q1', 'Q3'], ['Q2']]);
+    expect(layout).toMatchObject({ cols: 2, rows: 2, errors: [] });
+    expect(layout.warnings).toEqual(['「理科」は 1 問しかないため、残り 1 問はサンプル問題になります']);
+  });
+
+  test('too many genres is an error', () => {
+    const items = Array.from({ length: 9 }, (_, i) => ({ genre: `g${i}` }));
+    expect(layoutImportedRows(items).errors).toEqual(['ジャンルは 8 個までです（9 個あります）']);
+  });
+});
+
+describe('validateQuizPack', () => {
+  const pack = {
+    format: 'quiz-game-pack',
+    version: 1,
+    genres: ['歴史', '理科', '地理', '音楽', 'イントロ'],
+    problems: Array.from({ length: 25 }, (_, i) => ({ id: i, question: `Q${i + 1}`, choices: ['a', 'b', 'c', 'd'], answer: 1, score: 100 })),
+    audio: { intro_4: 'data:audio/mpeg;base64,AAAA' },
+  };
+
+  test('accepts a valid pack', () => {
+    expect(validateQuizPack(pack)).toEqual([]);
+  });
+
+  test('rejects files that are not quiz packs', () => {
+    expect(validateQuizPack(null)).toEqual(['ファイルの形式が正しくありません。']);
+    expect(validateQuizPack({ ...pack, format: 'other' })).toEqual(['クイズパックのファイルではありません。']);
+    expect(validateQuizPack({ ...pack, version: 99 })).toEqual(['対応していないバージョンです (version: 99)。']);
+  });
+
+  test('a pack without board info is read as a 5-column board', () => {
+    expect(validateQuizPack({ ...pack, genres: ['歴史'] })).toEqual(['ジャンル数が盤面の列数と一致しません (1個 / 5列)。']);
+  });
+
+  test('accepts a resized board', () => {
+    const board = { cols: 2, rows: 1, rowScores: [100] };
+    expect(validateQuizPack({ ...pack, board, genres: ['歴史', '理科'], problems: pack.problems.slice(0, 2), audio: {} })).toEqual([]);
+    expect(validateQuizPack({ ...pack, board: { ...board, cols: 9 } })).toEqual(['盤面サイズの形式が正しくありません。']);
+    expect(validateQuizPack({ ...pack, board })).toEqual([
+      'ジャンル数が盤面の列数と一致しません (5個 / 2列)。',
+      '問題数が盤面のマス数と一致しません (25問 / 2マス)。',
+    ]);
+  });
+
+  test('checks the choices against the answer format', () => {
+    const withProblem = (patch) => ({ ...pack, problems: pack.problems.map((p, i) => (i === 0 ? { ...p, ...patch } : p)) });
+    expect(validateQuizPack(withProblem({ answerFormat: 'open', choices: [], openAnswer: '模範解答' }))).toEqual([]);
+    expect(validateQuizPack(withProblem({ answerFormat: 'truefalse', choices: ['○', '×'], answer: 0 }))).toEqual([]);
+    expect(validateQuizPack(withProblem({ answerFormat: 'essay' }))).toEqual(['問題 1: 不明な解答形式です (essay)。']);
+    expect(validateQuizPack(withProblem({ choices: ['a', 'b', 'c', 'd', 'e', 'f', 'g'] }))).toEqual(['問題 1: 選択肢は 2〜6 個にしてください。']);
+  });
+
+  test('the final problem takes the same number of choices as the others', () => {
+    const final = { category: 'ファイナル', question: 'FQ', choices: ['a', 'b', 'c'], answer: 2 };
+    expect(validateQuizPack({ ...pack, final })).toEqual([]);
+    expect(validateQuizPack({ ...pack, final: { ...final, choices: ['a'], answer: 0 } })).toEqual(['ファイナル問題: 選択肢は 2〜6 個にしてください。']);
+    expect(validateQuizPack({ ...pack, final: { ...final, answer: 3 } })).toEqual(['ファイナル問題の形式が正しくありません。']);
+  });
+
+  test('reports problem and media errors', () => {
+    expect(validateQuizPack({ ...pack, problems: pack.problems.map((p, i) => (i === 1 ? { ...p, id: 0, answer: 5 } : p)) })).toEqual([
+      '問題IDが重複しています。',
+      '問題 2: 正解の指定が正しくありません。',
+    ]);
+    expect(validateQuizPack({ ...pack, audio: { intro_4: 'AAAA' } })).toEqual(['メディア intro_4 の形式が正しくありません。']);
+  });
+
+  test('version 2 packs carry images and videos in media', () => {
+    const v2 = { ...pack, version: 2, audio: undefined, media: { image_0: 'data:image/png;base64,AAAA', video_1: 'data:video/mp4;base64,AAAA' } };
+    expect(validateQuizPack(v2)).toEqual([]);
+    expect(validateQuizPack({ ...v2, media: { image_0: 'AAAA' } })).toEqual(['メディア image_0 の形式が正しくありません。']);
+    expect(validateQuizPack({ ...v2, problems: v2.problems.map((p, i) => (i === 0 ? { ...p, imageReveal: 'spin' } : p)) })).toEqual([
+      '問題 1: 不明な画像の表示方法です (spin)。',
+    ]);
+  });
+});
+
+// QuizGame と同じメディア用のデータベースを直接読み書きする
+const withMediaStore = (mode, fn) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('QuizGameDB', 2);
+  request.onupgradeneeded = () => request.result.createObjectStore('mediaStore');
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => {
+    const tx = request.result.transaction('mediaStore', mode);
+    const result = fn(tx.objectStore('mediaStore'));
+    tx.oncomplete = () => resolve(result && result.result);
+    tx.onerror = () => reject(tx.error);
+  };
+});
+const putMedia = (entries) => withMediaStore('readwrite', (store) => { Object.entries(entries).forEach(([k, v]) => store.put(v, k)); });
+const mediaKeys = () => withMediaStore('readonly', (store) => store.getAllKeys());
+const getMedia = (key) => withMediaStore('readonly', (store) => store.get(key));
+
+describe('quiz sets', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await withMediaStore('readwrite', (store) => { store.clear(); });
+    localStorage.setItem('quiz_sets', JSON.stringify([
+      { id: 'default', name: 'マイクイズ', updatedAt: null },
+      { id: 'set_a', name: 'セットA', updatedAt: null },
+      { id: 'set_b', name: 'セットB', updatedAt: null },
+    ]));
+    localStorage.setItem('quiz_genres', JSON.stringify(['既定']));
+    localStorage.setItem('quiz_set_a_genres', JSON.stringify(['セットAのジャンル']));
+    localStorage.setItem('quiz_set_a_problems', JSON.stringify([{ id: 0, question: 'Q' }]));
+    await putMedia({ intro_0: 'default-audio', 'set_a:intro_0': 'a-audio', 'set_a:image_1': 'a-image', 'set_b:intro_0': 'b-audio' });
+  });
+
+  test('duplicate copies the text data and media of that set only', async () => {
+    localStorage.setItem('quiz_set_a_scores', JSON.stringify({ 1: 300 }));
+    localStorage.setItem('quiz_set_a_game_log', JSON.stringify({ gameId: 'g1', events: [], cursor: 0 }));
+    const copy = await duplicateQuizSet('set_a', 'セットAのコピー');
+
+    expect(loadQuizSets().map((s) => s.name)).toEqual(['マイクイズ', 'セットA', 'セットB', 'セットAのコピー']);
+    expect(localStorage.getItem(`quiz_${copy.id}_genres`)).toBe(localStorage.getItem('quiz_set_a_genres'));
+    expect(localStorage.getItem(`quiz_${copy.id}_problems`)).toBe(localStorage.getItem('quiz_set_a_problems'));
+    expect((await mediaKeys()).filter((k) => k.startsWith(`${copy.id}:`)).sort()).toEqual([`${copy.id}:image_1`, `${copy.id}:intro_0`]);
+    expect(await getMedia(`${copy.id}:intro_0`)).toBe('a-audio');
+    // 複製したセットは得点も進行記録もない新しいゲームとして始まる
+    expect(localStorage.getItem(`quiz_${copy.id}_scores`)).toBeNull();
+    expect(localStorage.getItem(`quiz_${copy.id}_game_log`)).toBeNull();
+  });
+
+  test('delete removes the set with its storage and media, leaving the others', async () => {
+    localStorage.setItem('quiz_set_a_snapshots', JSON.stringify([]));
+    localStorage.setItem('quiz_set_a_live', JSON.stringify({ playIndex: null }));
+    await deleteQuizSet('set_a');
+
+    expect(loadQuizSets().map((s) => s.id)).toEqual(['default', 'set_b']);
+    expect(localStorage.getItem('quiz_set_a_genres')).toBeNull();
+    expect(localStorage.getItem('quiz_set_a_problems')).toBeNull();
+    expect(localStorage.getItem('quiz_set_a_snapshots')).toBeNull();
+    expect(localStorage.getItem('quiz_set_a_live')).toBeNull();
+    expect(localStorage.getItem('quiz_genres')).not.toBeNull();
+    expect((await mediaKeys()).sort()).toEqual(['intro_0', 'set_b:intro_0']);
+  });
+});